@@ -28,6 +28,17 @@ Zotero.ZotTablet.AnnotationExtractorModule = new function() {
 
     // ==================== Main Extraction ====================
 
+    /**
+     * Check if annotations can be extracted from an attachment's file
+     * PDFWorker only reads PDFs; other synced types are copied back as they are.
+     * @param {Zotero.Item} attachment
+     * @returns {boolean}
+     */
+    this.supportsAnnotations = function(attachment) {
+        const type = C.CONTENT_TYPES[ZT.getContentType(attachment)];
+        return !!type && !!type.annotations;
+    };
+
     /**
      * Extract annotations from attachments using Zotero's PDFWorker
      * @param {Zotero.Item[]} attachments - PDF attachments to extract from
@@ -42,7 +53,7 @@ Zotero.ZotTablet.AnnotationExtractorModule = new function() {
 
         for (const attachment of attachments) {
             try {
-                if (attachment.attachmentContentType !== 'application/pdf') {
+                if (!this.supportsAnnotations(attachment)) {
                     continue;
                 }
 
@@ -114,7 +125,7 @@ Zotero.ZotTablet.AnnotationExtractorModule = new function() {
 
         for (const attachment of attachments) {
             try {
-                if (attachment.attachmentContentType !== 'application/pdf') {
+                if (!this.supportsAnnotations(attachment)) {
                     continue;
                 }
 
@@ -216,7 +227,7 @@ Zotero.ZotTablet.AnnotationExtractorModule = new function() {
      */
     this.hasExternalAnnotations = async function(attachment) {
         try {
-            if (attachment.attachmentContentType !== 'application/pdf') {
+            if (!this.supportsAnnotations(attachment)) {
                 return false;
             }
 
@@ -228,8 +239,107 @@ Zotero.ZotTablet.AnnotationExtractorModule = new function() {
         }
     };
 
+    // ==================== Annotation Merge ====================
+
+    /**
+     * Check if annotations from another copy can be merged into an attachment
+     * @param {Zotero.Item} attachment
+     * @returns {boolean}
+     */
+    this.canMergeAnnotations = function(attachment) {
+        return this.supportsAnnotations(attachment);
+    };
+
+    /**
+     * Read the annotations of a file that is not the attachment's own file
+     * (e.g. the tablet copy) and return those the attachment does not have yet
+     * The file is read directly, without adding anything to the library.
+     * @param {Zotero.Item} attachment - Attachment to merge into
+     * @param {string} filePath - File to read annotations from
+     * @returns {Promise<Object[]>} Annotation JSON, without keys
+     */
+    this.getAnnotationsToMerge = async function(attachment, filePath) {
+        const existing = new Set();
+        for (const ann of attachment.getAnnotations()) {
+            existing.add(this._annotationSignature(await Zotero.Annotations.toJSON(ann)));
+        }
+
+        const toMerge = [];
+        for (const json of await this._readAnnotations(filePath)) {
+            const signature = this._annotationSignature(json);
+            if (existing.has(signature)) continue;
+
+            existing.add(signature);
+            delete json.key;
+            toMerge.push(json);
+        }
+
+        Zotero.debug(`ZotTablet: ${toMerge.length} annotation(s) to merge into ${attachment.attachmentFilename}`);
+        return toMerge;
+    };
+
+    /**
+     * Add annotations returned by getAnnotationsToMerge to an attachment
+     * They are stored as regular Zotero annotations: as external annotations they
+     * would be removed by the next import, since they are not in the attachment's file.
+     * @param {Zotero.Item} attachment - Attachment to merge into
+     * @param {Object[]} annotations - Annotation JSON
+     * @returns {Promise<Zotero.Item[]>} The annotations added
+     */
+    this.mergeAnnotations = async function(attachment, annotations) {
+        const added = [];
+        for (const json of annotations) {
+            added.push(await Zotero.Annotations.saveFromJSON(attachment, {
+                ...json,
+                key: Zotero.DataObjectUtils.generateKey(),
+                isExternal: false
+            }));
+        }
+        return added;
+    };
+
     // ==================== Helper Functions ====================
 
+    /**
+     * Read the annotations stored in a PDF file
+     * PDFWorker.import only reads the file of an attachment item, so the
+     * worker's import action is queried with the file's contents directly,
+     * through the same queue as PDFWorker.import. Throws if this Zotero
+     * version's PDFWorker doesn't answer the way Zotero 7 and 8 do.
+     * @returns {Promise<Object[]>} Annotation JSON as PDFWorker.import saves it
+     */
+    this._readAnnotations = async function(filePath) {
+        const worker = Zotero.PDFWorker;
+        if (typeof worker._query !== 'function') {
+            throw new Error('This version of Zotero cannot read annotations from a file outside the library');
+        }
+
+        const read = async () => {
+            const buf = new Uint8Array(await ZT.readFile(filePath)).buffer;
+            return worker._query('importAnnotations', { buf, existingAnnotations: [], password: '' }, [buf]);
+        };
+        const result = typeof worker._enqueue === 'function' ? await worker._enqueue(read) : await read();
+
+        if (!result || !Array.isArray(result.imported)) {
+            throw new Error(`PDFWorker returned no annotations for ${ZT.getFilename(filePath)}`);
+        }
+        return result.imported;
+    };
+
+    /**
+     * Build a comparison key for annotation JSON, ignoring keys and dates
+     */
+    this._annotationSignature = function(json) {
+        return JSON.stringify([
+            json.type,
+            json.pageLabel || '',
+            json.position,
+            json.text || '',
+            json.comment || '',
+            json.color || ''
+        ]);
+    };
+
     /**
      * Escape HTML special characters
      */
@@ -0,0 +1,295 @@
+/**
+ * ZotTablet - Collection Mirror Module
+ * Keeps a project folder in step with a Zotero collection
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * Bindings are configured as a JSON array in the collectionBindings pref:
+ *     [{ collection: "<libraryID>/<key>", projectFolder, subcollections, profile, enabled }]
+ * Items added to a bound collection are sent to its project folder; items
+ * removed from it are retrieved. Changes reported by the notifier are queued
+ * and handled together after a short delay, so a multi-item drag or an
+ * attachment saved right after its parent ends up in one batch.
+ */
+
+Zotero.ZotTablet.CollectionMirrorModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    // Queued notifier changes: { event: 'add'|'remove', itemID, collectionID }
+    // collectionID is null for attachments added to an item
+    this._queue = [];
+    this._timer = null;
+
+    /**
+     * Initialize the collection mirror
+     */
+    this.init = async function() {
+        Zotero.debug('ZotTablet CollectionMirror: Initialized');
+    };
+
+    /**
+     * Shutdown the collection mirror
+     */
+    this.shutdown = function() {
+        if (this._timer) {
+            this._timer.cancel();
+            this._timer = null;
+        }
+        this._queue = [];
+        Zotero.debug('ZotTablet CollectionMirror: Shutdown');
+    };
+
+    /**
+     * Get all configured bindings
+     * @returns {Object[]} { ref, collection: Zotero.Collection|null, projectFolder,
+     *          subcollections, profile, enabled } - collection is null if it no longer exists
+     */
+    this.getBindings = function() {
+        let raw = [];
+        try {
+            const parsed = JSON.parse(ZT.getPref(C.PREF_KEYS.COLLECTION_BINDINGS) || '[]');
+            if (Array.isArray(parsed)) raw = parsed;
+        } catch (e) {
+            Zotero.debug('ZotTablet: Invalid collectionBindings JSON');
+        }
+
+        return raw
+            .filter(b => b && b.collection)
+            .map(b => this.toBinding(b));
+    };
+
+    /**
+     * Resolve a binding as stored in the collectionBindings pref
+     */
+    this.toBinding = function(raw) {
+        return {
+            ref: raw.collection,
+            collection: this._getCollection(raw.collection),
+            projectFolder: raw.projectFolder || '',
+            subcollections: !!raw.subcollections,
+            profile: raw.profile || C.DEFAULT_PROFILE_ID,
+            enabled: raw.enabled !== false
+        };
+    };
+
+    /**
+     * Queue collection membership changes from the notifier
+     * @param {string} event - 'add' or 'remove'
+     * @param {string[]} ids - "<collectionID>-<itemID>" pairs
+     */
+    this.onCollectionItems = function(event, ids) {
+        if (event !== 'add' && event !== 'remove') return;
+        if (!this.getBindings().some(b => b.enabled)) return;
+
+        for (const id of ids) {
+            const [collectionID, itemID] = String(id).split('-').map(Number);
+            this._queue.push({ event, itemID, collectionID });
+        }
+        this._schedule();
+    };
+
+    /**
+     * Queue attachments added to items, which may already be in a bound collection
+     * @param {number[]} ids - IDs of added items
+     */
+    this.onItemsAdded = function(ids) {
+        if (!this.getBindings().some(b => b.enabled)) return;
+
+        for (const item of Zotero.Items.get(ids)) {
+            if (item.isAttachment() && !item.isTopLevelItem()) {
+                this._queue.push({ event: 'add', itemID: item.id, collectionID: null });
+            }
+        }
+        if (this._queue.length > 0) {
+            this._schedule();
+        }
+    };
+
+    /**
+     * Bring a binding's project folder in line with its collection: send items
+     * that are missing, retrieve items that are no longer in the collection
+     * @returns {Promise<{ sent: number, retrieved: number }>}
+     */
+    this.resync = async function(binding) {
+        if (!binding.collection) {
+            throw new Error('Collection no longer exists');
+        }
+
+        const collections = [binding.collection];
+        if (binding.subcollections) {
+            collections.push(...Zotero.Collections.get(
+                binding.collection.getDescendents(false, 'collection').map(d => d.id)
+            ));
+        }
+
+        const itemIDs = new Set();
+        for (const collection of collections) {
+            for (const item of collection.getChildItems(false)) {
+                itemIDs.add(item.id);
+            }
+        }
+
+        const attachments = [];
+        for (const item of Zotero.Items.get([...itemIDs])) {
+            attachments.push(...this._getAttachments(item));
+        }
+        const sent = await this._send(binding, attachments);
+
+        const profile = ZT.Profiles.getProfile(binding.profile);
+        const onTablet = await ZT.SyncManager.getAttachmentsOnTablet(profile, {
+            libraryID: binding.collection.libraryID
+        });
+        const retrieved = await this._get(binding, onTablet.filter(att => !itemIDs.has(att.parentItemID)));
+
+        return { sent, retrieved };
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Look up a collection from a "<libraryID>/<key>" reference
+     */
+    this._getCollection = function(ref) {
+        const [libraryID, key] = ref.split('/');
+        return Zotero.Collections.getByLibraryAndKey(parseInt(libraryID), key) || null;
+    };
+
+    /**
+     * Schedule handling of the queue, restarting the delay on every change
+     */
+    this._schedule = function(delay = C.LIMITS.MIRROR_DELAY) {
+        if (this._timer) {
+            this._timer.cancel();
+        }
+        this._timer = Cc['@mozilla.org/timer;1'].createInstance(Ci.nsITimer);
+        this._timer.initWithCallback(
+            { notify: () => this._flush() },
+            delay,
+            Ci.nsITimer.TYPE_ONE_SHOT
+        );
+    };
+
+    /**
+     * Send and retrieve the attachments of queued changes
+     */
+    this._flush = async function() {
+        this._timer = null;
+        if (ZT.SyncManager.isBusy()) {
+            this._schedule();
+            return;
+        }
+
+        const queue = this._queue;
+        this._queue = [];
+        const bindings = this.getBindings().filter(b => b.enabled && b.collection);
+
+        const toSend = new Map(bindings.map(b => [b, new Set()]));
+        const toGet = new Map(bindings.map(b => [b, new Set()]));
+
+        for (const { event, itemID, collectionID } of queue) {
+            const item = Zotero.Items.get(itemID);
+            if (!item) continue;
+            const regular = item.isAttachment() ? item.parentItem : item;
+            if (!regular || !regular.isRegularItem()) continue;
+
+            for (const binding of bindings) {
+                const inBinding = this._containsItem(binding, regular);
+                const affected = collectionID === null || this._coversCollection(binding, collectionID);
+                if (!affected) continue;
+
+                if (event === 'add' && inBinding) {
+                    for (const att of this._getAttachments(item)) toSend.get(binding).add(att);
+                } else if (event === 'remove' && !inBinding) {
+                    for (const att of this._getAttachments(item)) toGet.get(binding).add(att);
+                }
+            }
+        }
+
+        // Retrieve first, so an item moved between two bound collections
+        // ends up in the folder of the one it was moved to
+        for (const [binding, attachments] of toGet) {
+            try {
+                await this._get(binding, [...attachments]);
+            } catch (e) {
+                Zotero.logError(e);
+            }
+        }
+        for (const [binding, attachments] of toSend) {
+            try {
+                await this._send(binding, [...attachments]);
+            } catch (e) {
+                Zotero.logError(e);
+            }
+        }
+    };
+
+    /**
+     * Send the attachments that can be sent to a binding's project folder
+     * @returns {Promise<number>} Number of attachments sent
+     */
+    this._send = async function(binding, attachments) {
+        const { valid } = ZT.SyncManager.validateForSend(attachments);
+        if (valid.length === 0) return 0;
+
+        Zotero.debug(`ZotTablet CollectionMirror: Sending ${valid.length} attachment(s) to "${binding.projectFolder}"`);
+        await ZT.SyncManager.sendToTablet(valid, binding.projectFolder, {
+            profile: binding.profile,
+            collection: binding.collection.id,
+            // Sent from a timer: no prompts
+            interactive: false
+        });
+        return valid.length;
+    };
+
+    /**
+     * Retrieve the attachments that were sent to a binding's project folder
+     * Attachments sent elsewhere are left alone.
+     * @returns {Promise<number>} Number of attachments retrieved
+     */
+    this._get = async function(binding, attachments) {
+        const SM = ZT.SyncManager;
+        const profile = ZT.Profiles.getProfile(binding.profile);
+        const { valid } = SM.validateForGet(attachments.filter(att => {
+            const info = SM.getTabletInfo(att);
+            return info && (info.projectFolder || '') === binding.projectFolder &&
+                SM.getProfileOf(att).id === profile.id;
+        }));
+        if (valid.length === 0) return 0;
+
+        Zotero.debug(`ZotTablet CollectionMirror: Retrieving ${valid.length} attachment(s) from "${binding.projectFolder}"`);
+        await SM.getFromTablet(valid);
+        return valid.length;
+    };
+
+    /**
+     * Get the child attachments of an item, or the attachment itself
+     */
+    this._getAttachments = function(item) {
+        if (item.isAttachment()) {
+            return item.isTopLevelItem() ? [] : [item];
+        }
+        return Zotero.Items.get(item.getAttachments());
+    };
+
+    /**
+     * Check if a collection is the bound collection or, with subcollections
+     * included, one of its descendants
+     */
+    this._coversCollection = function(binding, collectionID) {
+        let collection = Zotero.Collections.get(collectionID);
+        while (collection) {
+            if (collection.id === binding.collection.id) return true;
+            if (!binding.subcollections || !collection.parentID) return false;
+            collection = Zotero.Collections.get(collection.parentID);
+        }
+        return false;
+    };
+
+    /**
+     * Check if an item is in the bound collection (or its subcollections)
+     */
+    this._containsItem = function(binding, item) {
+        return item.getCollections().some(id => this._coversCollection(binding, id));
+    };
+};
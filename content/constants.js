@@ -18,6 +18,11 @@
             DEST_DIR: 'destDir',
             MODE: 'mode',
             RENAME: 'rename',
+            RENAME_FORMAT: 'renameFormat',
+            AUTHORS_MAX: 'authorsMax',
+            AUTHORS_TRUNCATE: 'authorsTruncate',
+            AUTHORS_ET_AL: 'authorsEtAl',
+            AUTHORS_DELIMITER: 'authorsDelimiter',
             SUBFOLDER: 'subfolder',
             SUBFOLDER_FORMAT: 'subfolderFormat',
             TAG_ON_TABLET: 'tagOnTablet',
@@ -27,7 +32,23 @@
             INFO_WINDOW_DURATION: 'infoWindowDuration',
             CONFIRM_BATCH: 'confirmBatch',
             BATCH_THRESHOLD: 'batchThreshold',
-            PROJECT_FOLDERS: 'projectFolders'
+            PROJECT_FOLDERS: 'projectFolders',
+            AUTO_CHECK: 'autoCheck',
+            AUTO_CHECK_INTERVAL: 'autoCheckInterval',
+            CONFLICT_POLICY: 'conflictPolicy',
+            HISTORY_ENABLED: 'historyEnabled',
+            HISTORY_MAX_VERSIONS: 'historyMaxVersions',
+            HISTORY_MAX_AGE_DAYS: 'historyMaxAgeDays',
+            PROFILES: 'profiles',
+            SYNC_TYPES: 'syncTypes',
+            TRANSFORMS: 'transforms',
+            COLLECTION_BINDINGS: 'collectionBindings',
+            COLLECTION_RULE: 'collectionRule',
+            FILENAME_POLICY: 'filenamePolicy',
+            CONCURRENCY: 'concurrency',
+            STABILITY_WINDOW: 'stabilityWindow',
+            VERIFY_HASH: 'verifyHash',
+            SIDECAR_FORMAT: 'sidecarFormat'
         },
 
         // Preference defaults
@@ -35,6 +56,11 @@
             destDir: '',
             mode: 1,
             rename: true,
+            renameFormat: '%a_%y_%{title|50}',
+            authorsMax: 2,
+            authorsTruncate: 1,
+            authorsEtAl: ' et al',
+            authorsDelimiter: '_',
             subfolder: false,
             subfolderFormat: '%a/%y',
             tagOnTablet: '_tablet',
@@ -44,7 +70,42 @@
             infoWindowDuration: 4000,
             confirmBatch: true,
             batchThreshold: 5,
-            projectFolders: '[]'
+            projectFolders: '[]',
+            autoCheck: false,
+            autoCheckInterval: 15,
+            conflictPolicy: 'ask',
+            historyEnabled: true,
+            historyMaxVersions: 5,
+            historyMaxAgeDays: 90,
+            profiles: '[]',
+            syncTypes: 'pdf',
+            transforms: '[]',
+            collectionBindings: '[]',
+            collectionRule: 'current',
+            filenamePolicy: 'ntfs',
+            concurrency: 3,
+            stabilityWindow: 2,
+            verifyHash: false,
+            sidecarFormat: 'none'
+        },
+
+        // What a tablet folder's filesystem accepts in file and folder names
+        // (values of the filenamePolicy pref and profile field)
+        FILENAME_POLICY: {
+            POSIX: 'posix',
+            NTFS: 'ntfs',
+            EXFAT: 'exfat',
+            FAT32: 'fat32',
+            ASCII: 'ascii'
+        },
+
+        // Formats of the metadata sidecar written next to each tablet file
+        // (values of the sidecarFormat pref and profile field)
+        SIDECAR_FORMAT: {
+            NONE: 'none',
+            JSON: 'json',
+            BIBTEX: 'bibtex',
+            RIS: 'ris'
         },
 
         // Sync modes
@@ -53,12 +114,96 @@
             FOREGROUND: 2
         },
 
+        // File types that can be synced; the syncTypes pref is a comma-separated
+        // list of keys. Attachments match by content type or, failing that, extension.
+        CONTENT_TYPES: {
+            pdf: {
+                label: 'PDF',
+                mimeTypes: ['application/pdf'],
+                extensions: ['pdf'],
+                annotations: true
+            },
+            epub: {
+                label: 'EPUB',
+                mimeTypes: ['application/epub+zip'],
+                extensions: ['epub']
+            },
+            djvu: {
+                label: 'DjVu',
+                mimeTypes: ['image/vnd.djvu', 'image/x-djvu'],
+                extensions: ['djvu', 'djv']
+            },
+            cbz: {
+                label: 'Comic book (CBZ)',
+                mimeTypes: ['application/vnd.comicbook+zip', 'application/x-cbz'],
+                extensions: ['cbz']
+            },
+            html: {
+                label: 'HTML snapshot',
+                mimeTypes: ['text/html', 'application/xhtml+xml'],
+                extensions: ['html', 'htm', 'xhtml']
+            },
+            txt: {
+                label: 'Plain text',
+                mimeTypes: ['text/plain'],
+                extensions: ['txt']
+            }
+        },
+
+        // Which collection %c uses for items in several collections (values of
+        // the collectionRule pref): the one they were sent from, falling back to
+        // the first by path; always the first; or ask
+        COLLECTION_RULE: {
+            CURRENT: 'current',
+            FIRST: 'first',
+            ASK: 'ask'
+        },
+
+        // ID of the profile built from the global preferences; also assumed
+        // for tablet info written before profiles existed
+        DEFAULT_PROFILE_ID: 'default',
+
+        // Plugin data folder (inside the Zotero data directory) and its subfolders
+        DATA_DIR: {
+            ROOT: 'zottablet',
+            HISTORY: 'history',
+            JOURNAL: 'journal.json',
+            UNDO: 'undo',
+            TRANSFORM: 'transform',
+            STORE: 'tablet-info.json',
+            TEMP_FILES: 'temp-files.json'
+        },
+
+        // Name prefix of files being written by copyFile and moveFile; hidden,
+        // so folder scans skip them
+        TEMP_FILE_PREFIX: '.zottablet-tmp-',
+
+        // Schema version of the tablet store file
+        STORE_VERSION: 1,
+
+        // Conflict resolutions (also valid values for the conflictPolicy pref,
+        // together with ASK)
+        CONFLICT: {
+            ASK: 'ask',
+            TABLET: 'tablet',
+            ZOTERO: 'zotero',
+            KEEP_BOTH: 'keepBoth',
+            MERGE: 'merge',
+            CANCEL: 'cancel'
+        },
+
         // Processing limits
         LIMITS: {
             CONCURRENCY: 3,
             MAX_RENAME_COUNTER: 999,
-            TITLE_TRUNCATE_LENGTH: 50,
-            ERROR_DISPLAY_LIMIT: 5
+            NAME_SUFFIX_RESERVE: 4,            // characters kept free for the _999 suffix of a taken name
+            ERROR_DISPLAY_LIMIT: 5,
+            ORPHAN_METADATA_BYTES: 1048576,    // bytes read from a PDF to find title/DOI
+            AUTO_CHECK_MIN_INTERVAL: 1,        // minutes
+            AUTO_CHECK_BUSY_DELAY: 30000,      // ms, first retry while Zotero is busy
+            AUTO_CHECK_MAX_BUSY_DELAY: 600000, // ms, backoff ceiling
+            MIRROR_DELAY: 2000,                // ms, collection changes are batched for this long
+            STABILITY_RETRIES: 3               // rechecks of a tablet file still being synced, each twice as long
         },
 
         // Error codes for consistent error handling
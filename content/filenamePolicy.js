@@ -0,0 +1,190 @@
+/**
+ * ZotTablet - Filename Policy Module
+ * Makes file and folder names valid on the filesystem of a tablet folder
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * Each profile has a policy (C.FILENAME_POLICY) describing what its
+ * destination accepts: invalid characters, Windows device names, trailing
+ * dots and spaces, and the longest name, counted in bytes or UTF-16 units.
+ * Names are always written in Unicode NFC. Sync clients such as Dropbox on
+ * macOS may rename files to NFD, so stored locations are resolved against
+ * the names actually on disk.
+ */
+
+Zotero.ZotTablet.FilenamePolicyModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    const WINDOWS_INVALID = /[\/\\?*:|"<>\x00-\x1f]/g;
+
+    // Rules of each policy; maxLength is per name, in bytes (UTF-8) or UTF-16 code units
+    const RULES = {
+        [C.FILENAME_POLICY.POSIX]: {
+            invalid: /[\/\x00-\x1f]/g, maxLength: 255, unit: 'bytes'
+        },
+        [C.FILENAME_POLICY.NTFS]: {
+            invalid: WINDOWS_INVALID, maxLength: 255, unit: 'utf16', windowsNames: true
+        },
+        [C.FILENAME_POLICY.EXFAT]: {
+            invalid: WINDOWS_INVALID, maxLength: 255, unit: 'utf16', windowsNames: true
+        },
+        // Many e-readers mangle characters outside the BMP on FAT32 cards
+        [C.FILENAME_POLICY.FAT32]: {
+            invalid: WINDOWS_INVALID, maxLength: 255, unit: 'utf16', windowsNames: true, stripEmoji: true
+        },
+        [C.FILENAME_POLICY.ASCII]: {
+            invalid: WINDOWS_INVALID, maxLength: 255, unit: 'bytes', windowsNames: true, transliterate: true
+        }
+    };
+
+    // Reserved device names on Windows, with or without an extension
+    const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+    // Letters that don't decompose into an ASCII letter and combining marks
+    // (sharp s, ligatures, stroked letters, thorn, dotless i), and typographic punctuation
+    const TRANSLITERATIONS = {
+        '\u00DF': 'ss', '\u00E6': 'ae', '\u00C6': 'AE', '\u0153': 'oe', '\u0152': 'OE', '\u00F8': 'o', '\u00D8': 'O',
+        '\u0142': 'l', '\u0141': 'L', '\u0111': 'd', '\u0110': 'D', '\u00F0': 'd', '\u00D0': 'D', '\u00FE': 'th', '\u00DE': 'Th',
+        '\u0131': 'i', '\u2018': "'", '\u2019': "'", '\u201C': "'", '\u201D': "'", '\u2013': '-', '\u2014': '-', '\u2026': '...'
+    };
+
+    // Extensions longer than this are treated as part of the name when truncating
+    const MAX_EXTENSION_LENGTH = 10;
+
+    /**
+     * Initialize the filename policy module
+     */
+    this.init = async function() {
+        Zotero.debug('ZotTablet FilenamePolicy: Initialized');
+    };
+
+    /**
+     * Shutdown the filename policy module
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet FilenamePolicy: Shutdown');
+    };
+
+    /**
+     * Make a single file or folder name valid under a policy
+     * @param {string} name
+     * @param {string} policy - C.FILENAME_POLICY value (NTFS if unknown)
+     * @param {Object} options - { isFile: keep the extension when truncating and leave
+     *                           room for the _2, _3, ... suffix of getAvailablePath }
+     * @returns {string} Never empty
+     */
+    this.sanitize = function(name, policy, options = {}) {
+        const rules = RULES[policy] || RULES[C.FILENAME_POLICY.NTFS];
+
+        let clean = this.normalize(String(name));
+        if (rules.transliterate) {
+            clean = this._transliterate(clean);
+        }
+        if (rules.stripEmoji) {
+            // Astral characters, plus the joiners and variation selectors of emoji sequences
+            clean = clean.replace(/[\u{10000}-\u{10FFFF}\u200D\uFE0E\uFE0F]/gu, '').replace(/ {2,}/g, ' ');
+        }
+        clean = clean.replace(rules.invalid, '_').trim();
+
+        const maxLength = rules.maxLength - (options.isFile ? C.LIMITS.NAME_SUFFIX_RESERVE : 0);
+        clean = this._truncate(clean, maxLength, rules.unit, options.isFile);
+
+        if (rules.windowsNames) {
+            clean = clean.replace(/[. ]+$/, '');
+            if (RESERVED_NAMES.test(clean)) {
+                clean = '_' + clean;
+            }
+        }
+        return clean || '_';
+    };
+
+    /**
+     * Make every folder of a relative path valid under a policy
+     * @param {string} path - Folders separated by / or \
+     * @returns {string} Folders joined with /
+     */
+    this.sanitizePath = function(path, policy) {
+        return path
+            .split(/[\/\\]/)
+            .filter(part => part.trim().length > 0)
+            .map(part => this.sanitize(part, policy))
+            .join('/');
+    };
+
+    /**
+     * Bring a name or path to the normalisation form ZotTablet writes and stores
+     */
+    this.normalize = function(name) {
+        return name.normalize('NFC');
+    };
+
+    /**
+     * Find a file under a path that may be normalised differently on disk
+     * @returns {Promise<string|null>} Path as it is on disk, or null if there is no such file
+     */
+    this.resolvePath = async function(path) {
+        if (!path) return null;
+        if (await ZT.fileExists(path)) return path;
+
+        // Only names with non-ASCII characters have other forms
+        if (!/[^\x00-\x7f]/.test(path)) return null;
+
+        for (const form of ['NFC', 'NFD']) {
+            const variant = path.normalize(form);
+            if (variant !== path && await ZT.fileExists(variant)) return variant;
+        }
+
+        // Folders and file normalised differently: match the name against
+        // its folder's entries
+        const parent = ZT.getParentDir(path);
+        if (!parent || parent === path) return null;
+        const dir = await this.resolvePath(parent);
+        if (!dir) return null;
+
+        const name = this.normalize(ZT.getFilename(path));
+        for (const entry of await ZT.getDirectoryEntries(dir)) {
+            if (this.normalize(ZT.getFilename(entry)) === name) return entry;
+        }
+        return null;
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Replace letters with their closest ASCII equivalent and drop the rest
+     */
+    this._transliterate = function(name) {
+        return name
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^\x00-\x7f]/g, ch => TRANSLITERATIONS[ch] || '')
+            .normalize('NFC');
+    };
+
+    /**
+     * Shorten a name to a length, without splitting characters
+     * @param {string} unit - 'bytes' (UTF-8) or 'utf16'
+     * @param {boolean} isFile - Keep the extension
+     */
+    this._truncate = function(name, maxLength, unit, isFile) {
+        const measure = unit === 'bytes'
+            ? s => new TextEncoder().encode(s).length
+            : s => s.length;
+        if (measure(name) <= maxLength) return name;
+
+        let ext = '';
+        const dot = name.lastIndexOf('.');
+        if (isFile && dot > 0 && name.length - dot <= MAX_EXTENSION_LENGTH + 1) {
+            ext = name.substring(dot);
+            name = name.substring(0, dot);
+        }
+
+        // Code points, so surrogate pairs stay whole
+        const chars = Array.from(name);
+        while (chars.length > 0 && measure(chars.join('') + ext) > maxLength) {
+            chars.pop();
+        }
+        return chars.join('').trim() + ext;
+    };
+};
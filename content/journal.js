@@ -0,0 +1,223 @@
+/**
+ * ZotTablet - Journal Module
+ * Crash-safe record of foreground-mode file moves
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * Every move-and-relink is written to <data dir>/zottablet/journal.json before
+ * the file is touched and removed once the tablet info and tags are committed.
+ * Entries still present on startup belong to interrupted operations: if the
+ * file reached its destination the operation is finished, otherwise the
+ * attachment is pointed back at the file's original location.
+ */
+
+Zotero.ZotTablet.JournalModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    // Pending entries, mirrored to the journal file
+    this._entries = [];
+    this._loaded = false;
+    // Serialises writes of the journal file
+    this._writeQueue = Promise.resolve();
+
+    /**
+     * Initialize the journal
+     */
+    this.init = async function() {
+        await this._load();
+        Zotero.debug('ZotTablet Journal: Initialized');
+    };
+
+    /**
+     * Shutdown the journal
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet Journal: Shutdown');
+    };
+
+    /**
+     * Record a file operation before it starts
+     * @param {string} operation - 'send' or 'get'
+     * @param {Zotero.Item} attachment - Attachment being moved
+     * @param {string} sourcePath - Current file location
+     * @param {string} destPath - Exact path the file will be moved to
+     * @param {Object} data - Extra data needed to finish the operation
+     * @returns {Promise<Object>} Journal entry
+     */
+    this.begin = async function(operation, attachment, sourcePath, destPath, data = {}) {
+        const entry = {
+            id: Zotero.Utilities.randomString(),
+            operation,
+            libraryID: attachment.libraryID,
+            key: attachment.key,
+            sourcePath,
+            destPath,
+            data,
+            started: Date.now()
+        };
+        this._entries.push(entry);
+        await this._save();
+        return entry;
+    };
+
+    /**
+     * Mark an operation as committed
+     */
+    this.complete = async function(entry) {
+        this._entries = this._entries.filter(e => e.id !== entry.id);
+        await this._save();
+    };
+
+    /**
+     * Undo a failed operation: move the file back if it was already moved,
+     * then drop the entry
+     */
+    this.abort = async function(entry) {
+        try {
+            if (!(await ZT.fileExists(entry.sourcePath)) && await ZT.fileExists(entry.destPath)) {
+                await ZT.moveFile(entry.destPath, entry.sourcePath, true);
+            }
+        } catch (e) {
+            Zotero.logError(e);
+        }
+        await this.complete(entry);
+    };
+
+    /**
+     * Get entries of operations that have not completed
+     */
+    this.getPending = function() {
+        return [...this._entries];
+    };
+
+    /**
+     * Replay or roll back every pending entry (called during startup)
+     * @returns {Promise<number>} Number of entries processed
+     */
+    this.recover = async function() {
+        const pending = this.getPending();
+        if (pending.length === 0) return 0;
+
+        Zotero.debug(`ZotTablet Journal: Recovering ${pending.length} interrupted operation(s)`);
+
+        for (const entry of pending) {
+            try {
+                await this._recoverEntry(entry);
+            } catch (e) {
+                Zotero.logError(e);
+            }
+            // Drop the entry even on failure so a broken entry isn't retried forever
+            await this.complete(entry);
+        }
+
+        return pending.length;
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Finish or roll back one interrupted operation
+     */
+    this._recoverEntry = async function(entry) {
+        const SM = ZT.SyncManager;
+
+        const attachment = await Zotero.Items.getByLibraryAndKeyAsync(entry.libraryID, entry.key);
+        if (!attachment) {
+            Zotero.debug(`ZotTablet Journal: Attachment ${entry.key} no longer exists`);
+            return;
+        }
+
+        const currentPath = await attachment.getFilePathAsync();
+
+        if (await ZT.fileExists(entry.destPath)) {
+            // The file was moved: finish the operation
+            if (currentPath !== entry.destPath) {
+                await attachment.relinkAttachmentFile(entry.destPath);
+            }
+
+            if (entry.operation === 'send') {
+                const { destDir, mode, projectFolder, profile, origin } = entry.data;
+                const fileState = await SM._getFileState(entry.destPath);
+                const info = SM._buildTabletInfo(entry.destPath, fileState, destDir, mode, projectFolder, profile);
+                if (origin) {
+                    info.origin = origin;
+                }
+                SM.setTabletInfo(attachment, info);
+                await SM.addTabletTag(attachment, SM.getTagsFor(attachment).onTablet);
+            } else {
+                const tags = SM.getTagsFor(attachment);
+                await SM.removeTabletTag(attachment, tags.onTablet);
+                await SM.removeTabletTag(attachment, tags.modified);
+                SM.clearTabletInfo(attachment);
+                await attachment.saveTx();
+            }
+            Zotero.debug(`ZotTablet Journal: Completed interrupted ${entry.operation} of ${entry.destPath}`);
+        } else if (await ZT.fileExists(entry.sourcePath)) {
+            // The file never moved: make sure the attachment still points at it
+            if (currentPath !== entry.sourcePath) {
+                await attachment.relinkAttachmentFile(entry.sourcePath);
+            }
+            Zotero.debug(`ZotTablet Journal: Rolled back interrupted ${entry.operation} of ${entry.sourcePath}`);
+        } else {
+            Zotero.logError(new Error(
+                `ZotTablet: File of interrupted ${entry.operation} not found at ${entry.sourcePath} or ${entry.destPath}`
+            ));
+        }
+    };
+
+    /**
+     * Get the journal file path
+     */
+    this._getPath = function() {
+        return ZT.getDataDir(C.DATA_DIR.JOURNAL);
+    };
+
+    /**
+     * Read pending entries from the journal file
+     */
+    this._load = async function() {
+        if (this._loaded) return;
+        this._loaded = true;
+
+        const path = this._getPath();
+        if (!(await ZT.fileExists(path))) return;
+
+        try {
+            const parsed = JSON.parse(await Zotero.File.getContentsAsync(path));
+            this._entries = Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            // Keep a copy before the next write replaces it, so the interrupted
+            // moves it lists can still be put right by hand
+            Zotero.logError(e);
+            Zotero.logError(new Error(
+                `ZotTablet: Journal could not be read; copied to ${path}.bak, interrupted operations were not recovered`
+            ));
+            this._entries = [];
+            try {
+                await ZT.copyFile(path, `${path}.bak`, true);
+            } catch (copyError) {
+                Zotero.logError(copyError);
+            }
+        }
+    };
+
+    /**
+     * Write pending entries to the journal file
+     */
+    this._save = function() {
+        const json = JSON.stringify(this._entries);
+        this._writeQueue = this._writeQueue.then(async () => {
+            const path = this._getPath();
+            await ZT.ensureDirectory(ZT.getParentDir(path));
+            // Written through a temporary file: a crash mid-write must not lose the entries
+            const tmpPath = `${path}.tmp`;
+            if (IOUtils && IOUtils.writeUTF8) {
+                await IOUtils.writeUTF8(path, json, { tmpPath });
+            } else {
+                await OS.File.writeAtomic(path, json, { encoding: 'utf-8', tmpPath });
+            }
+        }).catch(e => Zotero.logError(e));
+        return this._writeQueue;
+    };
+};
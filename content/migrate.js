@@ -0,0 +1,72 @@
+/**
+ * ZotTablet ZotFile Migration Dialog Script
+ * Shows what was found by ZotFileMigration.detect and which parts to migrate
+ *
+ * window.arguments[0]: { detection, importPrefs, convertItems, accepted } -
+ * the choices and accepted are set on Migrate
+ */
+
+var io = window.arguments[0];
+
+window.addEventListener('load', init);
+
+function init() {
+    const detection = io.detection;
+
+    const summary = document.getElementById('zottablet-migrate-summary');
+    summary.textContent = `Found ${detection.prefs.length} preference(s), ` +
+        `${detection.projectFolders.length} project folder(s) and ` +
+        `${detection.attachments.length} attachment(s) with ZotFile tablet data`;
+
+    for (const pref of detection.prefs) {
+        addPrefRow([pref.zotfileKey, String(pref.value), pref.key]);
+    }
+    if (detection.projectFolders.length > 0) {
+        addPrefRow([
+            'tablet.subfolders',
+            detection.projectFolders.map(f => f.label).join(', '),
+            'projectFolders'
+        ]);
+    }
+    for (const pref of detection.unmapped) {
+        addPrefRow([pref.zotfileKey, String(pref.value), `Not imported: ${pref.reason}`], true);
+    }
+
+    const prefsCheckbox = document.getElementById('zottablet-migrate-prefs');
+    prefsCheckbox.disabled = detection.prefs.length === 0 && detection.projectFolders.length === 0;
+    prefsCheckbox.checked = !prefsCheckbox.disabled;
+
+    const itemsCheckbox = document.getElementById('zottablet-migrate-items');
+    itemsCheckbox.disabled = detection.attachments.length === 0;
+    itemsCheckbox.checked = !itemsCheckbox.disabled;
+    document.getElementById('zottablet-migrate-items-help').textContent =
+        'The ZotFile record in each attachment note is moved into ZotTablet\'s store, ' +
+        'and ZotFile\'s tablet tags by the ZotTablet tags.';
+
+    const dialog = document.getElementById('zottablet-migrate-dialog');
+    const updateAccept = () => {
+        dialog.getButton('accept').disabled = !prefsCheckbox.checked && !itemsCheckbox.checked;
+    };
+    prefsCheckbox.addEventListener('command', updateAccept);
+    itemsCheckbox.addEventListener('command', updateAccept);
+    updateAccept();
+
+    dialog.addEventListener('dialogaccept', () => {
+        io.importPrefs = prefsCheckbox.checked;
+        io.convertItems = itemsCheckbox.checked;
+        io.accepted = true;
+    });
+}
+
+function addPrefRow(cells, dimmed = false) {
+    const tbody = document.getElementById('zottablet-migrate-pref-rows');
+    const tr = document.createElementNS('http://www.w3.org/1999/xhtml', 'tr');
+    if (dimmed) tr.style.color = '#999';
+    for (const text of cells) {
+        const td = document.createElementNS('http://www.w3.org/1999/xhtml', 'td');
+        td.textContent = text;
+        td.style.padding = '2px 4px';
+        tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+}
@@ -0,0 +1,313 @@
+/**
+ * ZotTablet - Orphan Scanner Module
+ * Finds files in the tablet folder that no attachment claims and adopts them
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * Orphans appear when tablet info is lost, when a cloud client writes a
+ * conflict copy, or when someone drops a file into the folder. Each orphan is
+ * matched to an attachment by content hash, by the filename ZotTablet would
+ * give it, or (for PDFs) by the title/DOI in the PDF metadata.
+ */
+
+Zotero.ZotTablet.OrphanScannerModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    // Match methods, strongest first
+    this.MATCH_HASH = 'hash';
+    this.MATCH_FILENAME = 'filename';
+    this.MATCH_METADATA = 'metadata';
+
+    /**
+     * Initialize the orphan scanner
+     */
+    this.init = async function() {
+        Zotero.debug('ZotTablet OrphanScanner: Initialized');
+    };
+
+    /**
+     * Shutdown the orphan scanner
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet OrphanScanner: Shutdown');
+    };
+
+    // ==================== Scanning ====================
+
+    /**
+     * Find untracked files in the tablet folder of a profile
+     * @param {Object} profile - Profile whose folder to scan (default profile if omitted)
+     * @returns {Promise<Array<{ path: string, size: number, profile: Object, match: Object|null }>>}
+     *          match is { attachment, method } or null
+     */
+    this.scan = async function(profile = null) {
+        profile = profile || ZT.Profiles.getDefault();
+        const destDir = profile.destDir;
+        if (!destDir || !(await ZT.fileExists(destDir))) {
+            throw new Error('Tablet folder does not exist');
+        }
+
+        const claimed = await this._getClaimedPaths();
+        const files = (await ZT.listFilesRecursive(destDir))
+            .filter(path => this._isSyncableFile(path) && !claimed.has(path));
+
+        if (files.length === 0) return [];
+
+        const index = await this._buildAttachmentIndex(profile);
+        const orphans = [];
+
+        for (const path of files) {
+            orphans.push({
+                path,
+                size: await ZT.getFileSize(path),
+                profile,
+                match: await this._findMatch(path, index)
+            });
+        }
+
+        Zotero.debug(`ZotTablet: Found ${orphans.length} untracked file(s), ${orphans.filter(o => o.match).length} matched`);
+        return orphans;
+    };
+
+    // ==================== Actions ====================
+
+    /**
+     * Link an orphan to its matched attachment as "on tablet" (background mode)
+     * The file counts as modified if its content differs from the Zotero file.
+     */
+    this.adopt = async function(orphan, attachment) {
+        const SM = ZT.SyncManager;
+        if (SM.isOnTablet(attachment)) {
+            throw new Error('Attachment is already on tablet');
+        }
+
+        await this._markOnTablet(attachment, orphan.path, orphan.profile);
+    };
+
+    /**
+     * Import an orphan as a new attachment and link it as "on tablet"
+     * @param {Zotero.Item|null} parent - Parent item, or null for a standalone attachment
+     * @returns {Promise<Zotero.Item>} The new attachment
+     */
+    this.importOrphan = async function(orphan, parent) {
+        const options = { file: orphan.path };
+        if (parent) {
+            options.parentItemID = parent.id;
+        } else {
+            const libraryID = ZT.getSelectedLibraryID();
+            options.libraryID = ZT.getEditableLibraryIDs().includes(libraryID)
+                ? libraryID
+                : Zotero.Libraries.userLibraryID;
+        }
+
+        const attachment = await Zotero.Attachments.importFromFile(options);
+        // Standalone attachments can't carry tablet tags on a parent, so leave them untracked
+        if (parent) {
+            await this._markOnTablet(attachment, orphan.path, orphan.profile);
+        }
+        return attachment;
+    };
+
+    /**
+     * Delete an orphan, and its sidecars, from the tablet folder
+     */
+    this.deleteOrphan = async function(orphan) {
+        await ZT.removeFile(orphan.path);
+        for (const sidecar of await ZT.Sidecars.find(orphan.path)) {
+            await ZT.removeFile(sidecar);
+        }
+        await ZT.removeEmptyDirs(ZT.getParentDir(orphan.path), orphan.profile.destDir);
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Store tablet info and tag for an attachment whose tablet copy is at path
+     */
+    this._markOnTablet = async function(attachment, path, profile) {
+        const SM = ZT.SyncManager;
+        const zoteroPath = await attachment.getFilePathAsync();
+        const zoteroState = await SM._getFileState(zoteroPath);
+        const tabletState = await SM._getFileState(path);
+
+        // Baseline is the Zotero file: a differing tablet copy is reported as modified
+        const baseline = {
+            ...zoteroState,
+            modTime: tabletState.hash && tabletState.hash === zoteroState.hash ? tabletState.modTime : 0
+        };
+
+        SM.setTabletInfo(
+            attachment,
+            SM._buildTabletInfo(path, baseline, profile.destDir, SM.MODE_BACKGROUND, '', profile.id)
+        );
+        await SM.addTabletTag(attachment, SM.getTags(profile).onTablet);
+        await SM.checkModifications([attachment], { silent: true });
+    };
+
+    /**
+     * Check if a file is of a type ZotTablet syncs
+     */
+    this._isSyncableFile = function(path) {
+        return ZT.getSyncTypes().includes(ZT.getContentTypeForPath(path));
+    };
+
+    /**
+     * Paths of tablet files belonging to attachments on tablet
+     * Files that were moved since they were sent still belong to their attachment.
+     */
+    this._getClaimedPaths = async function() {
+        const SM = ZT.SyncManager;
+        const claimed = new Set();
+        const search = {};
+        for (const attachment of await SM.getAttachmentsOnTablet(null, { includeReadOnly: true })) {
+            const path = await SM.getTabletFilePath(attachment) ||
+                await SM.findMovedTabletFile(SM.getTabletInfo(attachment), search);
+            if (path) claimed.add(path);
+        }
+        return claimed;
+    };
+
+    /**
+     * Collect what is needed to match files against the library's syncable attachments
+     * Filenames are built with the profile's rename format and filename policy,
+     * as sending with the profile would. Hashes come from Zotero file sync;
+     * other files are hashed when an orphan of the same size needs them.
+     * @param {Object} profile - Profile whose folder is scanned
+     */
+    this._buildAttachmentIndex = async function(profile) {
+        // Only attachments in editable libraries can be linked to a file
+        const attachments = [];
+        for (const libraryID of ZT.getEditableLibraryIDs()) {
+            const search = new Zotero.Search();
+            search.libraryID = libraryID;
+            search.addCondition('itemType', 'is', 'attachment');
+
+            attachments.push(...Zotero.Items.get(await search.search()).filter(att =>
+                att.isAttachment() && !att.isTopLevelItem() && ZT.checkFileType(att) &&
+                att.attachmentLinkMode !== Zotero.Attachments.LINK_MODE_LINKED_URL
+            ));
+        }
+
+        const sanitize = filename => this._normalizeFilename(
+            ZT.FilenamePolicy.sanitize(filename, profile.filenamePolicy, { isFile: true })
+        );
+
+        return attachments.map((attachment) => {
+            const parent = attachment.parentItem;
+            let filename = null;
+            try {
+                filename = sanitize(
+                    ZT.SyncManager._formatFilename(parent, attachment.attachmentFilename, profile.renameFormat)
+                );
+            } catch (e) {
+                Zotero.debug(`ZotTablet: Could not format a filename for ${attachment.attachmentFilename}: ${e.message}`);
+            }
+            return {
+                attachment,
+                hash: attachment.attachmentSyncedHash || null,
+                filename,
+                originalFilename: sanitize(attachment.attachmentFilename),
+                title: this._normalizeTitle(parent.getField('title')),
+                doi: (parent.getField('DOI') || '').toLowerCase()
+            };
+        });
+    };
+
+    /**
+     * Find the attachment an orphan most likely belongs to
+     * @returns {Promise<Object|null>} { attachment, method }
+     */
+    this._findMatch = async function(path, index) {
+        const hash = await ZT.getFileHash(path);
+        const byHash = hash && await this._findByHash(path, hash, index);
+        if (byHash) return { attachment: byHash.attachment, method: this.MATCH_HASH };
+
+        const filename = this._normalizeFilename(ZT.getFilename(path));
+        const byName = index.find(entry =>
+            entry.filename === filename || entry.originalFilename === filename
+        );
+        if (byName) return { attachment: byName.attachment, method: this.MATCH_FILENAME };
+
+        if (ZT.getContentTypeForPath(path) !== 'pdf') return null;
+
+        const metadata = await this._readPdfMetadata(path);
+        const byMetadata = index.find(entry =>
+            (metadata.doi && entry.doi === metadata.doi) ||
+            (metadata.title && entry.title && entry.title === metadata.title)
+        );
+        if (byMetadata) return { attachment: byMetadata.attachment, method: this.MATCH_METADATA };
+
+        return null;
+    };
+
+    /**
+     * Find the index entry of a file with the given hash
+     * Attachments without a synced hash are hashed locally, only if their size
+     * matches the orphan's; sizes and hashes are kept in the index for the
+     * next orphan.
+     */
+    this._findByHash = async function(path, hash, index) {
+        const synced = index.find(entry => entry.hash === hash);
+        if (synced) return synced;
+
+        const size = await ZT.getFileSize(path);
+        for (const entry of index) {
+            if (entry.hash) continue;
+
+            if (entry.localSize === undefined) {
+                entry.localPath = await entry.attachment.getFilePathAsync();
+                entry.localSize = entry.localPath ? await ZT.getFileSize(entry.localPath) : null;
+            }
+            if (entry.localSize !== size) continue;
+
+            if (entry.localHash === undefined) {
+                entry.localHash = await ZT.getFileHash(entry.localPath);
+            }
+            if (entry.localHash === hash) return entry;
+        }
+        return null;
+    };
+
+    /**
+     * Normalise a filename for comparison: drop the extension and the suffixes
+     * added by copyFile ("_2") and cloud clients ("(1)", "(conflicted copy ...)")
+     */
+    this._normalizeFilename = function(filename) {
+        const ext = ZT.getFileExtension(filename);
+        let base = ext ? filename.substring(0, filename.length - ext.length - 1) : filename;
+        base = base.replace(/\s*\([^)]*conflict[^)]*\)/gi, '');
+        base = base.replace(/\s*\(\d+\)$/, '');
+        base = base.replace(/_\d+$/, '');
+        return base.normalize('NFC').toLowerCase();
+    };
+
+    /**
+     * Normalise a title for comparison
+     */
+    this._normalizeTitle = function(title) {
+        return (title || '').normalize('NFC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+    };
+
+    /**
+     * Read title and DOI from the start of a PDF (Info dictionary or XMP)
+     * @returns {Promise<{ title: string, doi: string }>}
+     */
+    this._readPdfMetadata = async function(path) {
+        const result = { title: '', doi: '' };
+        try {
+            const bytes = await ZT.readFile(path, C.LIMITS.ORPHAN_METADATA_BYTES);
+            const text = new TextDecoder('latin1').decode(bytes);
+
+            const doi = text.match(/\b(10\.\d{4,9}\/[^\s"<>()\[\]]+)/);
+            if (doi) result.doi = doi[1].toLowerCase();
+
+            const xmpTitle = text.match(/<dc:title>[\s\S]*?<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/);
+            const infoTitle = text.match(/\/Title\s*\(((?:[^()\\]|\\.)*)\)/);
+            result.title = this._normalizeTitle(xmpTitle ? xmpTitle[1] : (infoTitle ? infoTitle[1] : ''));
+        } catch (e) {
+            Zotero.debug(`ZotTablet: Could not read PDF metadata of ${path}: ${e.message}`);
+        }
+        return result;
+    };
+};
@@ -0,0 +1,85 @@
+/**
+ * ZotTablet Untracked Files Dialog Script
+ * Lists orphans from OrphanScanner.scan and lets the user choose an action for each
+ *
+ * window.arguments[0]: { orphans, destDir, actions } - on Apply, actions is filled
+ * with { orphan, action } where action is 'link', 'import' or 'delete'
+ */
+
+var io = window.arguments[0];
+
+const METHOD_LABELS = {
+    hash: 'identical content',
+    filename: 'filename',
+    metadata: 'PDF metadata'
+};
+
+window.addEventListener('load', init);
+
+function init() {
+    const ZT = Zotero.ZotTablet;
+    const summary = document.getElementById('zottablet-orphans-summary');
+    const matched = io.orphans.filter(o => o.match).length;
+    summary.textContent = `${io.orphans.length} untracked file(s), ${matched} matched to Zotero items`;
+
+    const rows = [];
+    const tbody = document.getElementById('zottablet-orphans-rows');
+    for (const orphan of io.orphans) {
+        const tr = createElement('tr');
+        tr.appendChild(cell(relativePath(orphan.path, io.destDir)));
+        tr.appendChild(cell(ZT.formatFileSize(orphan.size)));
+
+        const match = orphan.match;
+        if (match) {
+            const parent = match.attachment.parentItem;
+            const title = parent ? parent.getDisplayTitle() : match.attachment.attachmentFilename;
+            tr.appendChild(cell(`${title} (${METHOD_LABELS[match.method] || match.method})`));
+        } else {
+            tr.appendChild(cell('No match'));
+        }
+
+        const select = createElement('select');
+        addOption(select, '', 'Ignore');
+        if (match && !ZT.SyncManager.isOnTablet(match.attachment)) {
+            addOption(select, 'link', 'Link to matched attachment');
+        }
+        addOption(select, 'import', match ? 'Import as new attachment of matched item' : 'Import as new standalone attachment');
+        addOption(select, 'delete', 'Delete file');
+
+        const actionCell = createElement('td');
+        actionCell.appendChild(select);
+        tr.appendChild(actionCell);
+        tbody.appendChild(tr);
+
+        rows.push({ orphan, select });
+    }
+
+    document.getElementById('zottablet-orphans-dialog').addEventListener('dialogaccept', () => {
+        io.actions = rows
+            .filter(row => row.select.value)
+            .map(row => ({ orphan: row.orphan, action: row.select.value }));
+    });
+}
+
+function relativePath(path, base) {
+    if (!base || !path.startsWith(base)) return path;
+    return path.substring(base.length).replace(/^[\/\\]+/, '');
+}
+
+function createElement(name) {
+    return document.createElementNS('http://www.w3.org/1999/xhtml', name);
+}
+
+function cell(text) {
+    const td = createElement('td');
+    td.textContent = text;
+    td.style.padding = '2px 4px';
+    return td;
+}
+
+function addOption(select, value, label) {
+    const option = createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+}
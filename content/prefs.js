@@ -53,6 +53,24 @@ function init() {
         addProjectBtn.addEventListener('click', addProjectFolder);
     }
 
+    // Add profile button
+    const addProfileBtn = document.getElementById('zottablet-add-profile');
+    if (addProfileBtn) {
+        addProfileBtn.addEventListener('command', addProfile);
+    }
+
+    // Add transform button
+    const addTransformBtn = document.getElementById('zottablet-add-transform');
+    if (addTransformBtn) {
+        addTransformBtn.addEventListener('command', addTransform);
+    }
+
+    // Add collection binding button
+    const addBindingBtn = document.getElementById('zottablet-add-binding');
+    if (addBindingBtn) {
+        addBindingBtn.addEventListener('command', addBinding);
+    }
+
     // Create saved searches button
     const createSearchesBtn = document.getElementById('zottablet-create-searches');
     if (createSearchesBtn) {
@@ -63,6 +81,10 @@ function init() {
     // Load current values
     loadCurrentValues();
     loadProjectFolders();
+    loadProfiles();
+    loadSyncTypes();
+    loadTransforms();
+    loadBindings();
 
     Zotero.debug('ZotTablet Prefs: Initialized');
 }
@@ -72,6 +94,9 @@ function loadCurrentValues() {
     const textFields = {
         'zottablet-dest-dir': 'extensions.zottablet.destDir',
         'zottablet-subfolder-format': 'extensions.zottablet.subfolderFormat',
+        'zottablet-rename-format': 'extensions.zottablet.renameFormat',
+        'zottablet-authors-et-al': 'extensions.zottablet.authorsEtAl',
+        'zottablet-authors-delimiter': 'extensions.zottablet.authorsDelimiter',
         'zottablet-tag-tablet': 'extensions.zottablet.tagOnTablet',
         'zottablet-tag-modified': 'extensions.zottablet.tagModified',
         'zottablet-tag-reading': 'extensions.zottablet.tagReadingList'
@@ -83,20 +108,24 @@ function loadCurrentValues() {
         'zottablet-tag-tablet': C.PREF_DEFAULTS.tagOnTablet,
         'zottablet-tag-modified': C.PREF_DEFAULTS.tagModified,
         'zottablet-tag-reading': C.PREF_DEFAULTS.tagReadingList,
-        'zottablet-subfolder-format': C.PREF_DEFAULTS.subfolderFormat
+        'zottablet-subfolder-format': C.PREF_DEFAULTS.subfolderFormat,
+        'zottablet-rename-format': C.PREF_DEFAULTS.renameFormat
     };
 
+    // Templates are only saved once they are valid; the preview shows the error
+    const templateFields = ['zottablet-subfolder-format', 'zottablet-rename-format'];
+
     for (const [id, pref] of Object.entries(textFields)) {
         const el = document.getElementById(id);
         if (el) {
             const val = Zotero.Prefs.get(pref, true);
             el.value = val !== undefined ? val : (defaults[id] || '');
-            el.addEventListener('input', function() {
+            const save = function() {
+                if (templateFields.includes(id) && Zotero.ZotTablet.Templates.validate(this.value)) return;
                 Zotero.Prefs.set(pref, this.value, true);
-            });
-            el.addEventListener('change', function() {
-                Zotero.Prefs.set(pref, this.value, true);
-            });
+            };
+            el.addEventListener('input', save);
+            el.addEventListener('change', save);
         }
     }
 
@@ -104,12 +133,18 @@ function loadCurrentValues() {
     const checkboxFields = {
         'zottablet-rename': 'extensions.zottablet.rename',
         'zottablet-subfolder': 'extensions.zottablet.subfolder',
-        'zottablet-extract-on-sync': 'extensions.zottablet.extractOnSync'
+        'zottablet-extract-on-sync': 'extensions.zottablet.extractOnSync',
+        'zottablet-auto-check': 'extensions.zottablet.autoCheck',
+        'zottablet-history-enabled': 'extensions.zottablet.historyEnabled',
+        'zottablet-verify-hash': 'extensions.zottablet.verifyHash'
     };
 
     const checkDefaults = {
         'zottablet-rename': C.PREF_DEFAULTS.rename,
-        'zottablet-extract-on-sync': C.PREF_DEFAULTS.extractOnSync
+        'zottablet-extract-on-sync': C.PREF_DEFAULTS.extractOnSync,
+        'zottablet-auto-check': C.PREF_DEFAULTS.autoCheck,
+        'zottablet-history-enabled': C.PREF_DEFAULTS.historyEnabled,
+        'zottablet-verify-hash': C.PREF_DEFAULTS.verifyHash
     };
 
     for (const [id, pref] of Object.entries(checkboxFields)) {
@@ -123,6 +158,46 @@ function loadCurrentValues() {
         }
     }
 
+    // Number inputs
+    const numberFields = {
+        'zottablet-auto-check-interval': 'extensions.zottablet.autoCheckInterval',
+        'zottablet-history-max-versions': 'extensions.zottablet.historyMaxVersions',
+        'zottablet-history-max-age': 'extensions.zottablet.historyMaxAgeDays',
+        'zottablet-authors-max': 'extensions.zottablet.authorsMax',
+        'zottablet-authors-truncate': 'extensions.zottablet.authorsTruncate',
+        'zottablet-concurrency': 'extensions.zottablet.concurrency',
+        'zottablet-stability-window': 'extensions.zottablet.stabilityWindow'
+    };
+
+    const numberDefaults = {
+        'zottablet-auto-check-interval': C.PREF_DEFAULTS.autoCheckInterval,
+        'zottablet-history-max-versions': C.PREF_DEFAULTS.historyMaxVersions,
+        'zottablet-history-max-age': C.PREF_DEFAULTS.historyMaxAgeDays,
+        'zottablet-authors-max': C.PREF_DEFAULTS.authorsMax,
+        'zottablet-authors-truncate': C.PREF_DEFAULTS.authorsTruncate,
+        'zottablet-concurrency': C.PREF_DEFAULTS.concurrency,
+        'zottablet-stability-window': C.PREF_DEFAULTS.stabilityWindow
+    };
+
+    // Inputs where 0 means "no limit"
+    const zeroAllowed = ['zottablet-history-max-versions', 'zottablet-history-max-age', 'zottablet-stability-window'];
+
+    for (const [id, pref] of Object.entries(numberFields)) {
+        const el = document.getElementById(id);
+        if (el) {
+            const val = Zotero.Prefs.get(pref, true);
+            el.value = val !== undefined ? val : numberDefaults[id];
+            el.addEventListener('change', function() {
+                const num = parseInt(this.value);
+                if (num > 0 || (num === 0 && zeroAllowed.includes(id))) {
+                    Zotero.Prefs.set(pref, num, true);
+                } else {
+                    this.value = Zotero.Prefs.get(pref, true);
+                }
+            });
+        }
+    }
+
     // Menulist (sync mode)
     const modeEl = document.getElementById('zottablet-mode');
     if (modeEl) {
@@ -132,6 +207,107 @@ function loadCurrentValues() {
             Zotero.Prefs.set('extensions.zottablet.mode', parseInt(this.value), true);
         });
     }
+
+    // Menulist (conflict policy)
+    const conflictEl = document.getElementById('zottablet-conflict-policy');
+    if (conflictEl) {
+        const val = Zotero.Prefs.get('extensions.zottablet.conflictPolicy', true);
+        conflictEl.value = val !== undefined ? val : C.PREF_DEFAULTS.conflictPolicy;
+        conflictEl.addEventListener('command', function() {
+            Zotero.Prefs.set('extensions.zottablet.conflictPolicy', this.value, true);
+        });
+    }
+
+    // Menulist (filename policy of the tablet folder)
+    const policyEl = document.getElementById('zottablet-filename-policy');
+    if (policyEl) {
+        const val = Zotero.Prefs.get('extensions.zottablet.filenamePolicy', true);
+        policyEl.value = val !== undefined ? val : C.PREF_DEFAULTS.filenamePolicy;
+        policyEl.addEventListener('command', function() {
+            Zotero.Prefs.set('extensions.zottablet.filenamePolicy', this.value, true);
+        });
+        policyEl.addEventListener('command', updateTemplatePreviews);
+    }
+
+    // Menulist (metadata sidecar format)
+    const sidecarEl = document.getElementById('zottablet-sidecar-format');
+    if (sidecarEl) {
+        const val = Zotero.Prefs.get('extensions.zottablet.sidecarFormat', true);
+        sidecarEl.value = val !== undefined ? val : C.PREF_DEFAULTS.sidecarFormat;
+        sidecarEl.addEventListener('command', function() {
+            Zotero.Prefs.set('extensions.zottablet.sidecarFormat', this.value, true);
+        });
+    }
+
+    // Menulist (collection rule for %c)
+    const collectionRuleEl = document.getElementById('zottablet-collection-rule');
+    if (collectionRuleEl) {
+        const val = Zotero.Prefs.get('extensions.zottablet.collectionRule', true);
+        collectionRuleEl.value = val !== undefined ? val : C.PREF_DEFAULTS.collectionRule;
+        collectionRuleEl.addEventListener('command', function() {
+            Zotero.Prefs.set('extensions.zottablet.collectionRule', this.value, true);
+        });
+    }
+
+    // Live previews of the rename and subfolder templates, registered after
+    // the listeners above so they see the saved values
+    for (const id of ['zottablet-rename-format', 'zottablet-subfolder-format',
+        'zottablet-authors-et-al', 'zottablet-authors-delimiter']) {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('input', updateTemplatePreviews);
+    }
+    for (const id of ['zottablet-authors-max', 'zottablet-authors-truncate']) {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', updateTemplatePreviews);
+    }
+    updateTemplatePreviews();
+}
+
+function updateTemplatePreviews() {
+    const ZT = Zotero.ZotTablet;
+    const item = getPreviewItem();
+    const collection = Zotero.Collections.get(ZT.getSelectedCollectionID());
+    const collectionPath = collection ? ZT.SyncManager._getCollectionPath(collection) : '';
+    const policy = ZT.getPref('filenamePolicy');
+
+    const previews = [
+        ['zottablet-rename-format', 'zottablet-rename-preview',
+            format => ZT.FilenamePolicy.sanitize(
+                ZT.SyncManager._formatFilename(item, 'file.pdf', format), policy, { isFile: true }
+            )],
+        ['zottablet-subfolder-format', 'zottablet-subfolder-preview',
+            format => ZT.FilenamePolicy.sanitizePath(
+                ZT.SyncManager._formatSubfolder(item, format, collectionPath), policy
+            )]
+    ];
+
+    for (const [inputID, previewID, render] of previews) {
+        const input = document.getElementById(inputID);
+        const preview = document.getElementById(previewID);
+        if (!input || !preview) continue;
+
+        const error = ZT.Templates.validate(input.value);
+        let text;
+        if (error) {
+            text = 'Error (not saved): ' + error;
+        } else if (!item) {
+            text = 'Preview: select an item in Zotero';
+        } else {
+            try {
+                text = 'Preview: ' + render(input.value);
+            } catch (e) {
+                text = 'Error: ' + e.message;
+            }
+        }
+        preview.setAttribute('value', text);
+    }
+}
+
+function getPreviewItem() {
+    const win = Zotero.getMainWindow();
+    const items = win && win.ZoteroPane ? win.ZoteroPane.getSelectedItems() : [];
+    if (items.length === 0) return null;
+    return items[0].isRegularItem() ? items[0] : items[0].parentItem || null;
 }
 
 async function browseDestDir() {
@@ -252,6 +428,462 @@ function saveProjectFolders() {
     Zotero.Prefs.set('extensions.zottablet.projectFolders', JSON.stringify(folders), true);
 }
 
+function loadSyncTypes() {
+    const container = document.getElementById('zottablet-sync-types');
+    if (!container) return;
+
+    while (container.firstChild) {
+        container.removeChild(container.firstChild);
+    }
+
+    const enabled = Zotero.ZotTablet.getSyncTypes();
+    for (const [key, type] of Object.entries(Zotero.ZotTablet.Constants.CONTENT_TYPES)) {
+        const checkbox = document.createXULElement('checkbox');
+        checkbox.dataset.type = key;
+        checkbox.setAttribute('label', `${type.label} (.${type.extensions.join(', .')})`);
+        checkbox.checked = enabled.includes(key);
+        checkbox.addEventListener('command', saveSyncTypes);
+        container.appendChild(checkbox);
+    }
+}
+
+function saveSyncTypes() {
+    const container = document.getElementById('zottablet-sync-types');
+    if (!container) return;
+
+    const types = [];
+    for (const checkbox of container.children) {
+        if (checkbox.checked) {
+            types.push(checkbox.dataset.type);
+        }
+    }
+    Zotero.Prefs.set('extensions.zottablet.syncTypes', types.join(','), true);
+}
+
+function loadTransforms() {
+    const container = document.getElementById('zottablet-transforms');
+    if (!container) return;
+
+    while (container.firstChild) {
+        container.removeChild(container.firstChild);
+    }
+
+    try {
+        const transforms = JSON.parse(
+            Zotero.Prefs.get('extensions.zottablet.transforms', true) || '[]'
+        );
+        transforms.forEach(transform => addTransformRow(container, transform));
+    } catch (e) {
+        Zotero.logError(e);
+    }
+}
+
+function addTransformRow(container, transform = {}) {
+    const hbox = document.createXULElement('hbox');
+    hbox.setAttribute('align', 'center');
+    hbox.style.marginBottom = '4px';
+
+    const enabled = document.createXULElement('checkbox');
+    enabled.checked = transform.enabled !== false;
+    enabled.addEventListener('command', saveTransforms);
+    hbox.appendChild(enabled);
+
+    const makeInput = (field, placeholder, width) => {
+        const input = document.createElementNS('http://www.w3.org/1999/xhtml', 'input');
+        input.type = 'text';
+        input.dataset.field = field;
+        input.value = transform[field] || '';
+        input.placeholder = placeholder;
+        input.style.marginRight = '8px';
+        if (width) {
+            input.style.width = width;
+        } else {
+            input.style.flex = '1';
+        }
+        input.addEventListener('input', saveTransforms);
+        return input;
+    };
+
+    hbox.appendChild(makeInput('name', 'Name', '100px'));
+    hbox.appendChild(makeInput('command', 'Full path of command'));
+    hbox.appendChild(makeInput('args', 'Arguments, e.g. {input} {output}'));
+    hbox.appendChild(makeInput('types', 'pdf', '80px'));
+
+    const geometry = document.createXULElement('checkbox');
+    geometry.dataset.field = 'geometry';
+    geometry.setAttribute('label', 'Changes page layout');
+    geometry.checked = !!transform.geometry;
+    geometry.addEventListener('command', saveTransforms);
+    hbox.appendChild(geometry);
+
+    // Order matters, so rows can be moved up
+    const upBtn = document.createXULElement('button');
+    upBtn.setAttribute('label', '\u25B2');
+    upBtn.addEventListener('command', () => {
+        if (hbox.previousElementSibling) {
+            container.insertBefore(hbox, hbox.previousElementSibling);
+            saveTransforms();
+        }
+    });
+    hbox.appendChild(upBtn);
+
+    const removeBtn = document.createXULElement('button');
+    removeBtn.setAttribute('label', 'X');
+    removeBtn.addEventListener('command', () => {
+        hbox.remove();
+        saveTransforms();
+    });
+    hbox.appendChild(removeBtn);
+
+    container.appendChild(hbox);
+}
+
+function addTransform() {
+    const container = document.getElementById('zottablet-transforms');
+    if (container) {
+        addTransformRow(container, { types: 'pdf' });
+    }
+}
+
+function saveTransforms() {
+    const container = document.getElementById('zottablet-transforms');
+    if (!container) return;
+
+    const transforms = [];
+    for (const row of container.children) {
+        const transform = { enabled: row.querySelector('checkbox').checked };
+        for (const input of row.querySelectorAll('input[data-field]')) {
+            transform[input.dataset.field] = input.value.trim();
+        }
+        transform.geometry = row.querySelector('checkbox[data-field="geometry"]').checked;
+        if (transform.name || transform.command) {
+            transforms.push(transform);
+        }
+    }
+    Zotero.Prefs.set('extensions.zottablet.transforms', JSON.stringify(transforms), true);
+}
+
+function loadProfiles() {
+    const container = document.getElementById('zottablet-profiles');
+    if (!container) return;
+
+    while (container.firstChild) {
+        container.removeChild(container.firstChild);
+    }
+
+    try {
+        const profiles = JSON.parse(
+            Zotero.Prefs.get('extensions.zottablet.profiles', true) || '[]'
+        );
+        profiles.forEach(profile => addProfileRow(container, profile));
+    } catch (e) {
+        Zotero.logError(e);
+    }
+}
+
+function addProfileRow(container, profile = {}) {
+    const HTML_NS = 'http://www.w3.org/1999/xhtml';
+
+    const row = document.createXULElement('vbox');
+    row.dataset.profileId = profile.id || Zotero.Utilities.randomString(8);
+    row.style.marginBottom = '8px';
+    row.style.paddingBottom = '8px';
+    row.style.borderBottom = '1px solid #ddd';
+
+    const makeInput = (field, placeholder, width) => {
+        const input = document.createElementNS(HTML_NS, 'input');
+        input.type = 'text';
+        input.dataset.field = field;
+        input.value = profile[field] || '';
+        input.placeholder = placeholder;
+        input.style.marginRight = '8px';
+        if (width) {
+            input.style.width = width;
+        } else {
+            input.style.flex = '1';
+        }
+        input.addEventListener('input', saveProfiles);
+        return input;
+    };
+
+    const makeCheckbox = (field, label) => {
+        const checkbox = document.createXULElement('checkbox');
+        checkbox.dataset.field = field;
+        checkbox.setAttribute('label', label);
+        checkbox.checked = !!profile[field];
+        checkbox.addEventListener('command', saveProfiles);
+        return checkbox;
+    };
+
+    // Name, folder and remove button
+    const first = document.createXULElement('hbox');
+    first.setAttribute('align', 'center');
+    first.appendChild(makeInput('name', 'Profile Name', '150px'));
+    first.appendChild(makeInput('destDir', 'Tablet/External Folder'));
+
+    const removeBtn = document.createXULElement('button');
+    removeBtn.setAttribute('label', 'X');
+    removeBtn.addEventListener('command', () => {
+        row.remove();
+        saveProfiles();
+    });
+    first.appendChild(removeBtn);
+
+    // Sync mode, rename and subfolders
+    const second = document.createXULElement('hbox');
+    second.setAttribute('align', 'center');
+
+    const modeSelect = document.createElementNS(HTML_NS, 'select');
+    modeSelect.dataset.field = 'mode';
+    modeSelect.style.marginRight = '8px';
+    for (const [value, label] of [['1', 'Background (keep copy in Zotero)'], ['2', 'Foreground (move file)']]) {
+        const option = document.createElementNS(HTML_NS, 'option');
+        option.value = value;
+        option.textContent = label;
+        modeSelect.appendChild(option);
+    }
+    modeSelect.value = String(profile.mode || 1);
+    modeSelect.addEventListener('change', saveProfiles);
+
+    // Empty value: use the default profile's filesystem
+    const policySelect = document.createElementNS(HTML_NS, 'select');
+    policySelect.dataset.field = 'filenamePolicy';
+    policySelect.style.marginRight = '8px';
+    for (const [value, label] of [['', 'Default filesystem'], ['ntfs', 'NTFS'], ['exfat', 'exFAT'],
+        ['fat32', 'FAT32'], ['posix', 'POSIX'], ['ascii', 'ASCII only']]) {
+        const option = document.createElementNS(HTML_NS, 'option');
+        option.value = value;
+        option.textContent = label;
+        policySelect.appendChild(option);
+    }
+    policySelect.value = profile.filenamePolicy || '';
+    policySelect.addEventListener('change', saveProfiles);
+
+    // Empty value: use the default profile's sidecar format
+    const sidecarSelect = document.createElementNS(HTML_NS, 'select');
+    sidecarSelect.dataset.field = 'sidecarFormat';
+    sidecarSelect.style.marginRight = '8px';
+    for (const [value, label] of [['', 'Default sidecar'], ['none', 'No sidecar'], ['json', 'CSL JSON'],
+        ['bibtex', 'BibTeX'], ['ris', 'RIS']]) {
+        const option = document.createElementNS(HTML_NS, 'option');
+        option.value = value;
+        option.textContent = label;
+        sidecarSelect.appendChild(option);
+    }
+    sidecarSelect.value = profile.sidecarFormat || '';
+    sidecarSelect.addEventListener('change', saveProfiles);
+
+    second.appendChild(modeSelect);
+    second.appendChild(policySelect);
+    second.appendChild(makeCheckbox('rename', 'Rename files'));
+    second.appendChild(makeInput('renameFormat', 'Rename format'));
+    second.appendChild(makeCheckbox('subfolder', 'Use subfolders'));
+    second.appendChild(makeInput('subfolderFormat', 'Subfolder format'));
+    second.appendChild(makeInput('concurrency', 'Files at once', '90px'));
+
+    // Tags
+    const third = document.createXULElement('hbox');
+    third.setAttribute('align', 'center');
+    third.appendChild(sidecarSelect);
+    third.appendChild(makeInput('tagOnTablet', 'Tag for files on tablet'));
+    third.appendChild(makeInput('tagModified', 'Tag for modified files'));
+
+    row.appendChild(first);
+    row.appendChild(second);
+    row.appendChild(third);
+    container.appendChild(row);
+}
+
+function addProfile() {
+    const container = document.getElementById('zottablet-profiles');
+    if (container) {
+        addProfileRow(container, { mode: 1, rename: true });
+        saveProfiles();
+    }
+}
+
+function saveProfiles() {
+    const container = document.getElementById('zottablet-profiles');
+    if (!container) return;
+
+    // A template that doesn't validate (e.g. half typed) keeps its saved value
+    const saved = Zotero.ZotTablet.Profiles._readCustomProfiles();
+    const templateFields = ['renameFormat', 'subfolderFormat'];
+
+    const profiles = [];
+    for (const row of container.children) {
+        const profile = { id: row.dataset.profileId };
+        const previous = saved.find(p => p && p.id === profile.id) || {};
+        for (const el of row.querySelectorAll('[data-field]')) {
+            const field = el.dataset.field;
+            if (el.localName === 'checkbox') {
+                profile[field] = el.checked;
+            } else if (field === 'mode') {
+                profile[field] = parseInt(el.value);
+            } else if (templateFields.includes(field) && Zotero.ZotTablet.Templates.validate(el.value.trim())) {
+                profile[field] = previous[field] || '';
+            } else {
+                profile[field] = el.value.trim();
+            }
+        }
+        profiles.push(profile);
+    }
+    Zotero.Prefs.set('extensions.zottablet.profiles', JSON.stringify(profiles), true);
+}
+
+function loadBindings() {
+    const container = document.getElementById('zottablet-collection-bindings');
+    if (!container) return;
+
+    while (container.firstChild) {
+        container.removeChild(container.firstChild);
+    }
+
+    try {
+        const bindings = JSON.parse(
+            Zotero.Prefs.get('extensions.zottablet.collectionBindings', true) || '[]'
+        );
+        bindings.forEach(binding => addBindingRow(container, binding));
+    } catch (e) {
+        Zotero.logError(e);
+    }
+}
+
+function addBindingRow(container, binding = {}) {
+    const HTML_NS = 'http://www.w3.org/1999/xhtml';
+    const ZT = Zotero.ZotTablet;
+
+    const hbox = document.createXULElement('hbox');
+    hbox.setAttribute('align', 'center');
+    hbox.style.marginBottom = '4px';
+
+    const enabled = document.createXULElement('checkbox');
+    enabled.checked = binding.enabled !== false;
+    enabled.addEventListener('command', saveBindings);
+    hbox.appendChild(enabled);
+
+    const makeSelect = (field, options, value) => {
+        const select = document.createElementNS(HTML_NS, 'select');
+        select.dataset.field = field;
+        select.style.marginRight = '8px';
+        for (const [optionValue, label] of options) {
+            const option = document.createElementNS(HTML_NS, 'option');
+            option.value = optionValue;
+            option.textContent = label;
+            select.appendChild(option);
+        }
+        select.value = value;
+        select.addEventListener('change', saveBindings);
+        return select;
+    };
+
+    // Collections of every editable library, shown with their full path
+    const collectionOptions = [];
+    for (const libraryID of ZT.getEditableLibraryIDs()) {
+        const library = Zotero.Libraries.get(libraryID);
+        for (const collection of Zotero.Collections.getByLibrary(libraryID, true)) {
+            const names = [];
+            for (let c = collection; c; c = c.parentID ? Zotero.Collections.get(c.parentID) : null) {
+                names.unshift(c.name);
+            }
+            collectionOptions.push([`${libraryID}/${collection.key}`, `${library.name} / ${names.join(' / ')}`]);
+        }
+    }
+    if (binding.collection && !collectionOptions.some(([value]) => value === binding.collection)) {
+        collectionOptions.push([binding.collection, '(Deleted collection)']);
+    }
+    const collectionSelect = makeSelect(
+        'collection',
+        collectionOptions,
+        binding.collection || (collectionOptions.length > 0 ? collectionOptions[0][0] : '')
+    );
+    collectionSelect.style.flex = '1';
+    hbox.appendChild(collectionSelect);
+
+    let folders = [];
+    try {
+        folders = JSON.parse(Zotero.Prefs.get('extensions.zottablet.projectFolders', true) || '[]');
+    } catch (e) {
+        Zotero.logError(e);
+    }
+    const folderOptions = [['', '(Tablet folder)'], ...folders.map(f => [f.path, f.label || f.path])];
+    if (binding.projectFolder && !folderOptions.some(([value]) => value === binding.projectFolder)) {
+        folderOptions.push([binding.projectFolder, binding.projectFolder]);
+    }
+    hbox.appendChild(makeSelect('projectFolder', folderOptions, binding.projectFolder || ''));
+
+    if (ZT.Profiles.hasMultiple()) {
+        const profileOptions = ZT.Profiles.getProfiles().map(p => [p.id, p.name]);
+        hbox.appendChild(makeSelect('profile', profileOptions, binding.profile || ZT.Profiles.DEFAULT_ID));
+    }
+
+    const subcollections = document.createXULElement('checkbox');
+    subcollections.setAttribute('label', 'Include subcollections');
+    subcollections.checked = !!binding.subcollections;
+    subcollections.addEventListener('command', saveBindings);
+    hbox.appendChild(subcollections);
+
+    const resyncBtn = document.createXULElement('button');
+    resyncBtn.setAttribute('label', 'Resync Now');
+    resyncBtn.addEventListener('command', () => resyncBinding(hbox));
+    hbox.appendChild(resyncBtn);
+
+    const removeBtn = document.createXULElement('button');
+    removeBtn.setAttribute('label', 'X');
+    removeBtn.addEventListener('command', () => {
+        hbox.remove();
+        saveBindings();
+    });
+    hbox.appendChild(removeBtn);
+
+    container.appendChild(hbox);
+}
+
+function addBinding() {
+    const container = document.getElementById('zottablet-collection-bindings');
+    if (container) {
+        addBindingRow(container, {});
+        saveBindings();
+    }
+}
+
+function readBindingRow(row) {
+    const checkboxes = row.querySelectorAll('checkbox');
+    const binding = {
+        enabled: checkboxes[0].checked,
+        subcollections: checkboxes[1].checked
+    };
+    for (const select of row.querySelectorAll('select[data-field]')) {
+        binding[select.dataset.field] = select.value;
+    }
+    return binding;
+}
+
+function saveBindings() {
+    const container = document.getElementById('zottablet-collection-bindings');
+    if (!container) return;
+
+    const bindings = [...container.children]
+        .map(readBindingRow)
+        .filter(binding => binding.collection);
+    Zotero.Prefs.set('extensions.zottablet.collectionBindings', JSON.stringify(bindings), true);
+}
+
+async function resyncBinding(row) {
+    const ZT = Zotero.ZotTablet;
+    const raw = readBindingRow(row);
+    if (!raw.collection) return;
+    const binding = ZT.CollectionMirror.toBinding(raw);
+
+    try {
+        const { sent, retrieved } = await ZT.CollectionMirror.resync(binding);
+        Services.prompt.alert(window, 'ZotTablet', `Sent ${sent} and retrieved ${retrieved} file(s)`);
+    } catch (e) {
+        Zotero.logError(e);
+        Services.prompt.alert(window, 'ZotTablet', 'Error: ' + e.message);
+    }
+}
+
 async function createSavedSearches() {
     try {
         const created = await Zotero.ZotTablet.createSavedSearches();
@@ -0,0 +1,142 @@
+/**
+ * ZotTablet Preview Dialog Script
+ * Shows a plan from SyncManager.planSend/planGet and lets the user execute it
+ *
+ * window.arguments[0]: { plan, accepted } - accepted is set to true on Execute
+ */
+
+var io = window.arguments[0];
+
+window.addEventListener('load', init);
+
+function init() {
+    const plan = io.plan;
+    const ZT = Zotero.ZotTablet;
+
+    const summary = document.getElementById('zottablet-preview-summary');
+    if (plan.operation === 'send') {
+        const modeLabel = plan.mode === ZT.Constants.MODE.FOREGROUND ? 'move' : 'copy';
+        summary.textContent = `Send ${plan.entries.length} file(s) to tablet (${modeLabel})`;
+        if (ZT.Profiles.hasMultiple()) {
+            summary.textContent += `, profile "${plan.profileName}"`;
+        }
+        if (plan.projectFolder) {
+            summary.textContent += `, project folder "${plan.projectFolder}"`;
+        }
+        setHeader(['Attachment', 'Tablet file', 'Folder', 'Notes']);
+        for (const entry of plan.entries) {
+            addRow([
+                entry.attachment.attachmentFilename,
+                ZT.getFilename(entry.finalPath),
+                relativePath(entry.targetDir, plan.destDir),
+                describeSendNotes(entry)
+            ]);
+        }
+    } else {
+        const conflicts = plan.entries.filter(e => e.action === 'conflict').length;
+        summary.textContent = `Get ${plan.entries.length} file(s) from tablet`;
+        if (conflicts > 0) {
+            summary.textContent += `, ${conflicts} conflict(s) to resolve`;
+        }
+        setHeader(['Attachment', 'Action', 'Notes']);
+        for (const entry of plan.entries) {
+            addRow([
+                entry.attachment.attachmentFilename,
+                describeGetAction(entry),
+                describeGetNotes(entry)
+            ], entry.action === 'conflict');
+        }
+    }
+
+    for (const skipped of plan.skipped) {
+        const name = skipped.item.attachmentFilename || skipped.item.getDisplayTitle();
+        addRow(plan.operation === 'send'
+            ? [name, '', '', `Skipped: ${skipped.reason}`]
+            : [name, 'Skip', skipped.reason], false, true);
+    }
+    if (plan.skipped.length > 0) {
+        summary.textContent += `, ${plan.skipped.length} skipped`;
+    }
+
+    const dialog = document.getElementById('zottablet-preview-dialog');
+    if (plan.error || plan.entries.length === 0) {
+        const error = document.getElementById('zottablet-preview-error');
+        error.textContent = plan.error || 'Nothing to do';
+        error.hidden = false;
+        dialog.getButton('accept').disabled = true;
+    }
+
+    dialog.addEventListener('dialogaccept', () => {
+        io.accepted = true;
+    });
+}
+
+function describeGetAction(entry) {
+    switch (entry.action) {
+        case 'copy': return 'Copy tablet version to Zotero';
+        case 'move': return entry.toOrigin ? 'Move back to original folder' : 'Move back to Zotero storage';
+        case 'discard': return 'Remove unchanged tablet copy';
+        case 'annotations': return 'Import annotations from transformed copy';
+        case 'sibling': return 'Import transformed copy as new attachment';
+        case 'conflict': return 'Conflict: both versions changed';
+        case 'cleanup': return 'Tablet file missing, clear tablet status';
+        default: return entry.action;
+    }
+}
+
+function describeSendNotes(entry) {
+    const notes = [];
+    if (entry.renamed) notes.push(`"${entry.filename}" exists, will be renamed`);
+    if (entry.transforms.length > 0) notes.push(`transformed by ${entry.transforms.join(', ')}`);
+    return notes.join(', ');
+}
+
+function describeGetNotes(entry) {
+    const notes = [];
+    if (entry.tabletModified) notes.push('modified on tablet');
+    if (entry.zoteroModified) notes.push('modified in Zotero');
+    if (entry.relocated) notes.push(`moved on tablet to "${Zotero.ZotTablet.getFilename(entry.tabletPath)}"`);
+    if (entry.renamed) notes.push(`will be saved as "${Zotero.ZotTablet.getFilename(entry.finalPath)}"`);
+    if (entry.originProblem) notes.push(describeOriginProblem(entry.originProblem));
+    return notes.join(', ');
+}
+
+function describeOriginProblem(problem) {
+    switch (problem) {
+        case 'missing': return 'original folder no longer exists, you will be asked what to do';
+        case 'readonly': return 'original folder is read-only, you will be asked what to do';
+        case 'unknown': return 'original location unknown, you will be asked what to do';
+        default: return problem;
+    }
+}
+
+function relativePath(path, base) {
+    if (!base || !path.startsWith(base)) return path;
+    return path.substring(base.length).replace(/^[\/\\]+/, '') || '.';
+}
+
+function setHeader(labels) {
+    const header = document.getElementById('zottablet-preview-header');
+    for (const label of labels) {
+        const th = document.createElementNS('http://www.w3.org/1999/xhtml', 'th');
+        th.textContent = label;
+        th.style.textAlign = 'left';
+        th.style.padding = '4px';
+        th.style.borderBottom = '1px solid #ccc';
+        header.appendChild(th);
+    }
+}
+
+function addRow(cells, highlight = false, dimmed = false) {
+    const tbody = document.getElementById('zottablet-preview-rows');
+    const tr = document.createElementNS('http://www.w3.org/1999/xhtml', 'tr');
+    if (highlight) tr.style.color = '#e67e22';
+    if (dimmed) tr.style.color = '#999';
+    for (const text of cells) {
+        const td = document.createElementNS('http://www.w3.org/1999/xhtml', 'td');
+        td.textContent = text;
+        td.style.padding = '2px 4px';
+        tr.appendChild(td);
+    }
+    tbody.appendChild(tr);
+}
@@ -0,0 +1,139 @@
+/**
+ * ZotTablet - Profiles Module
+ * Named tablet destinations (device profiles)
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * The General, Subfolder and Tag settings form the default profile, so
+ * existing setups and tablet info written before profiles keep working.
+ * Further profiles are stored as a JSON array in the profiles pref; a setting
+ * left empty in a profile falls back to the default profile's value.
+ */
+
+Zotero.ZotTablet.ProfilesModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    this.DEFAULT_ID = C.DEFAULT_PROFILE_ID;
+
+    /**
+     * Initialize the profiles module
+     */
+    this.init = async function() {
+        Zotero.debug('ZotTablet Profiles: Initialized');
+    };
+
+    /**
+     * Shutdown the profiles module
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet Profiles: Shutdown');
+    };
+
+    /**
+     * Get the default profile, built from the global preferences
+     */
+    this.getDefault = function() {
+        return {
+            id: this.DEFAULT_ID,
+            name: 'Default',
+            destDir: ZT.getPref('destDir') || '',
+            mode: ZT.getPref('mode') || C.MODE.BACKGROUND,
+            rename: !!ZT.getPref('rename'),
+            renameFormat: ZT.getPref('renameFormat') || C.PREF_DEFAULTS.renameFormat,
+            subfolder: !!ZT.getPref('subfolder'),
+            subfolderFormat: ZT.getPref('subfolderFormat') || '',
+            filenamePolicy: ZT.getPref(C.PREF_KEYS.FILENAME_POLICY) || C.PREF_DEFAULTS.filenamePolicy,
+            concurrency: parseInt(ZT.getPref(C.PREF_KEYS.CONCURRENCY)) || C.PREF_DEFAULTS.concurrency,
+            sidecarFormat: ZT.getPref(C.PREF_KEYS.SIDECAR_FORMAT) || C.PREF_DEFAULTS.sidecarFormat,
+            tagOnTablet: ZT.getPref('tagOnTablet') || C.PREF_DEFAULTS.tagOnTablet,
+            tagModified: ZT.getPref('tagModified') || C.PREF_DEFAULTS.tagModified
+        };
+    };
+
+    /**
+     * Get all profiles, the default profile first
+     * @returns {Object[]} { id, name, destDir, mode, rename, renameFormat, subfolder,
+     *          subfolderFormat, filenamePolicy, concurrency, sidecarFormat, tagOnTablet, tagModified }
+     */
+    this.getProfiles = function() {
+        const defaults = this.getDefault();
+        const profiles = [defaults];
+
+        for (const raw of this._readCustomProfiles()) {
+            if (!raw || !raw.id || raw.id === this.DEFAULT_ID) continue;
+            profiles.push({
+                id: raw.id,
+                name: raw.name || raw.id,
+                destDir: raw.destDir || defaults.destDir,
+                mode: parseInt(raw.mode) || defaults.mode,
+                rename: raw.rename !== undefined ? !!raw.rename : defaults.rename,
+                renameFormat: raw.renameFormat || defaults.renameFormat,
+                subfolder: raw.subfolder !== undefined ? !!raw.subfolder : defaults.subfolder,
+                subfolderFormat: raw.subfolderFormat || defaults.subfolderFormat,
+                filenamePolicy: raw.filenamePolicy || defaults.filenamePolicy,
+                concurrency: parseInt(raw.concurrency) || defaults.concurrency,
+                sidecarFormat: raw.sidecarFormat || defaults.sidecarFormat,
+                tagOnTablet: raw.tagOnTablet || defaults.tagOnTablet,
+                tagModified: raw.tagModified || defaults.tagModified
+            });
+        }
+
+        return profiles;
+    };
+
+    /**
+     * Get a profile by ID
+     * Unknown IDs (e.g. of a deleted profile) resolve to the default profile;
+     * check exists() first where the profile's folder matters.
+     */
+    this.getProfile = function(id) {
+        if (!id || id === this.DEFAULT_ID) return this.getDefault();
+        return this.getProfiles().find(p => p.id === id) || this.getDefault();
+    };
+
+    /**
+     * Check if a profile ID belongs to a configured profile
+     * No ID stands for the default profile.
+     */
+    this.exists = function(id) {
+        if (!id || id === this.DEFAULT_ID) return true;
+        return this.getProfiles().some(p => p.id === id);
+    };
+
+    /**
+     * Check if profiles besides the default one are configured
+     */
+    this.hasMultiple = function() {
+        return this.getProfiles().length > 1;
+    };
+
+    /**
+     * Get every distinct tag used by a profile for files on tablet or modified
+     */
+    this.getAllTags = function() {
+        const tags = new Set();
+        for (const profile of this.getProfiles()) {
+            tags.add(profile.tagOnTablet);
+            tags.add(profile.tagModified);
+        }
+        return [...tags];
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Parse the profiles pref
+     * An unreadable pref is left as it is, so it can still be repaired by hand.
+     */
+    this._readCustomProfiles = function() {
+        try {
+            const parsed = JSON.parse(ZT.getPref(C.PREF_KEYS.PROFILES) || '[]');
+            if (Array.isArray(parsed)) return parsed;
+            Zotero.debug('ZotTablet: profiles is not an array');
+        } catch (e) {
+            Zotero.debug('ZotTablet: Invalid profiles JSON');
+        }
+        return [];
+    };
+};
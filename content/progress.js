@@ -0,0 +1,58 @@
+/**
+ * ZotTablet Progress Dialog Script
+ * Progress of a send or retrieval, with a Cancel button that becomes Close
+ * once the operation is done
+ *
+ * window.arguments[0]: the state kept by ZT.showCancellableProgress -
+ * { headline, lines, completed, total, cancelling, done, onCancel, update };
+ * update is set here and called on every change
+ */
+
+var io = window.arguments[0];
+
+window.addEventListener('load', init);
+
+function init() {
+    const dialog = document.getElementById('zottablet-progress-dialog');
+
+    // Files already being copied are finished, so the window stays open
+    // until the operation reports what was done
+    dialog.addEventListener('dialogcancel', (event) => {
+        if (io.done) return;
+        event.preventDefault();
+        if (!io.cancelling) io.onCancel();
+        render();
+    });
+
+    io.update = render;
+    render();
+}
+
+function render() {
+    document.getElementById('zottablet-progress-headline').textContent = io.headline;
+
+    const meter = document.getElementById('zottablet-progress-meter');
+    if (io.total > 0) {
+        meter.max = io.total;
+        meter.value = io.completed;
+    } else {
+        meter.removeAttribute('value');
+    }
+
+    const lines = document.getElementById('zottablet-progress-lines');
+    lines.textContent = '';
+    for (const text of io.lines) {
+        const line = document.createElementNS('http://www.w3.org/1999/xhtml', 'div');
+        line.textContent = text;
+        lines.appendChild(line);
+    }
+
+    const button = document.getElementById('zottablet-progress-dialog').getButton('cancel');
+    if (io.done) {
+        button.label = 'Close';
+        button.disabled = false;
+    } else {
+        button.label = io.cancelling ? 'Cancelling...' : 'Cancel';
+        button.disabled = io.cancelling;
+    }
+}
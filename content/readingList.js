@@ -34,10 +34,11 @@ Zotero.ZotTablet.ReadingListModule = new function() {
     this.addToReadingList = async function(items) {
         const tag = this.getTag();
         const progressWin = ZT.showProgress('Adding to Reading List');
+        const { editable, readOnly } = ZT.filterEditable(items);
 
         const toSave = [];
 
-        for (const item of items) {
+        for (const item of editable) {
             try {
                 const targetItem = item.isAttachment() && !item.isTopLevelItem()
                     ? Zotero.Items.get(item.parentItemID)
@@ -68,6 +69,9 @@ Zotero.ZotTablet.ReadingListModule = new function() {
         }
 
         progressWin.addDescription(`Added ${toSave.length} item(s) to reading list`);
+        if (readOnly.length > 0) {
+            progressWin.addDescription(ZT.describeSkipped(readOnly));
+        }
         progressWin.startCloseTimer(ZT.getPref('infoWindowDuration'));
     };
 
@@ -78,10 +82,11 @@ Zotero.ZotTablet.ReadingListModule = new function() {
     this.removeFromReadingList = async function(items) {
         const tag = this.getTag();
         const progressWin = ZT.showProgress('Removing from Reading List');
+        const { editable, readOnly } = ZT.filterEditable(items);
 
         const toSave = [];
 
-        for (const item of items) {
+        for (const item of editable) {
             try {
                 // Get the parent item if this is an attachment
                 const targetItem = item.isAttachment() && !item.isTopLevelItem()
@@ -113,17 +118,22 @@ Zotero.ZotTablet.ReadingListModule = new function() {
         }
 
         progressWin.addDescription(`Removed ${toSave.length} item(s) from reading list`);
+        if (readOnly.length > 0) {
+            progressWin.addDescription(ZT.describeSkipped(readOnly));
+        }
         progressWin.startCloseTimer(ZT.getPref('infoWindowDuration'));
     };
 
     /**
      * Get all items in reading list
+     * @param {number} libraryID - Library to search (library of the current selection if omitted)
      * @returns {Promise<Zotero.Item[]>}
      */
-    this.getReadingListItems = async function() {
+    this.getReadingListItems = async function(libraryID = null) {
         const tag = this.getTag();
 
         const search = new Zotero.Search();
+        search.libraryID = libraryID || ZT.getSelectedLibraryID();
         search.addCondition('tag', 'is', tag);
 
         const ids = await search.search();
@@ -161,10 +171,11 @@ Zotero.ZotTablet.ReadingListModule = new function() {
 
     /**
      * Get reading list count
+     * @param {number} libraryID - Library to count in (library of the current selection if omitted)
      * @returns {Promise<number>}
      */
-    this.getCount = async function() {
-        const items = await this.getReadingListItems();
+    this.getCount = async function(libraryID = null) {
+        const items = await this.getReadingListItems(libraryID);
         return items.length;
     };
 };
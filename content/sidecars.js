@@ -0,0 +1,159 @@
+/**
+ * ZotTablet - Sidecars Module
+ * Metadata files written next to tablet files
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * Reading apps only show a file's name, so a profile can have the citation
+ * data of each sent file's parent item written beside it as CSL JSON, BibTeX
+ * or RIS. A sidecar is named after its tablet file ("Paper.pdf.json") and
+ * carries the abstract and a zotero://select link back to the item. It is
+ * moved and removed together with its tablet file.
+ */
+
+Zotero.ZotTablet.SidecarsModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    // Extension appended to the tablet file's name, per format
+    const EXTENSIONS = {
+        [C.SIDECAR_FORMAT.JSON]: '.json',
+        [C.SIDECAR_FORMAT.BIBTEX]: '.bib',
+        [C.SIDECAR_FORMAT.RIS]: '.ris'
+    };
+
+    // Zotero's export translators
+    const TRANSLATORS = {
+        [C.SIDECAR_FORMAT.BIBTEX]: '9cb70025-a888-4a29-a210-93ec52da40d4',
+        [C.SIDECAR_FORMAT.RIS]: '32d59d2d-b65a-4da4-b0a3-bdd3cfb979e7'
+    };
+
+    /**
+     * Initialize the sidecars module
+     */
+    this.init = async function() {
+        Zotero.debug('ZotTablet Sidecars: Initialized');
+    };
+
+    /**
+     * Shutdown the sidecars module
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet Sidecars: Shutdown');
+    };
+
+    /**
+     * Write the sidecar of a tablet file
+     * Failures are logged rather than thrown, so a sidecar never stops a file
+     * from being sent.
+     * @param {Zotero.Item} attachment - Attachment the tablet file belongs to
+     * @param {string} tabletPath - Path of the tablet file
+     * @param {string} format - C.SIDECAR_FORMAT value; nothing is written for NONE
+     * @returns {Promise<string|null>} Path of the sidecar, or null if none was written
+     */
+    this.write = async function(attachment, tabletPath, format) {
+        if (!EXTENSIONS[format]) return null;
+
+        const item = attachment.parentItem;
+        if (!item || !item.isRegularItem()) return null;
+
+        const path = tabletPath + EXTENSIONS[format];
+        try {
+            await this._writeAtomic(path, await this._serialize(item, format));
+            return path;
+        } catch (e) {
+            Zotero.logError(e);
+            return null;
+        }
+    };
+
+    /**
+     * Find the sidecars lying next to a tablet file, in any format
+     * @returns {Promise<string[]>}
+     */
+    this.find = async function(tabletPath) {
+        const paths = [];
+        if (!tabletPath) return paths;
+
+        for (const ext of Object.values(EXTENSIONS)) {
+            const path = await ZT.FilenamePolicy.resolvePath(tabletPath + ext);
+            if (path) paths.push(path);
+        }
+        return paths;
+    };
+
+    /**
+     * Move the sidecars of a tablet file that was renamed or moved
+     * A sidecar already at the new location is replaced.
+     */
+    this.move = async function(oldPath, newPath) {
+        for (const path of await this.find(oldPath)) {
+            const dest = newPath + path.substring(path.lastIndexOf('.'));
+            await ZT.removeFile(dest);
+            await ZT.moveFile(path, dest);
+        }
+    };
+
+    /**
+     * Get the link that selects an item in Zotero
+     */
+    this.getSelectLink = function(item) {
+        return `zotero://select/${Zotero.API.getLibraryPrefix(item.libraryID)}/items/${item.key}`;
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Write the sidecar contents of an item in a format
+     */
+    this._serialize = async function(item, format) {
+        const link = this.getSelectLink(item);
+
+        if (format === C.SIDECAR_FORMAT.JSON) {
+            const data = Zotero.Utilities.Item.itemToCSLJSON(item);
+            const abstract = item.getField('abstractNote');
+            if (abstract) {
+                data.abstract = abstract;
+            }
+            data['zotero-select'] = link;
+            return JSON.stringify(data, null, 2);
+        }
+
+        const text = (await this._export(item, TRANSLATORS[format])).trim();
+        if (format === C.SIDECAR_FORMAT.BIBTEX) {
+            // Add the link as a last field of the entry
+            return text.replace(/,?\s*\}$/, () => `,\n\tzotero-select = {${link}}\n}`) + '\n';
+        }
+        // RIS: add the link before the end-of-record tag
+        return text.replace(/^ER {2}-.*$/m, () => `UR  - ${link}\r\nER  - `) + '\r\n';
+    };
+
+    /**
+     * Export an item with one of Zotero's export translators
+     * @returns {Promise<string>}
+     */
+    this._export = async function(item, translatorID) {
+        const translation = new Zotero.Translate.Export();
+        translation.setItems([item]);
+        translation.setTranslator(translatorID);
+        translation.setDisplayOptions({ exportNotes: false, exportFileData: false });
+        await translation.translate();
+        return translation.string || '';
+    };
+
+    /**
+     * Write a text file through a temporary file, like ZT.copyFile, so sync
+     * clients never pick up a partly written sidecar
+     */
+    this._writeAtomic = async function(path, text) {
+        const tmpPath = ZT.joinPath(
+            ZT.getParentDir(path),
+            `${C.TEMP_FILE_PREFIX}${Zotero.Utilities.randomString(8)}.tmp`
+        );
+        if (IOUtils && IOUtils.writeUTF8) {
+            await IOUtils.writeUTF8(path, text, { tmpPath });
+        } else {
+            await OS.File.writeAtomic(path, text, { encoding: 'utf-8', tmpPath });
+        }
+    };
+};
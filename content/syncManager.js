@@ -13,6 +13,18 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
     this.MODE_BACKGROUND = C.MODE.BACKGROUND;
     this.MODE_FOREGROUND = C.MODE.FOREGROUND;
 
+    // Number of send/get operations currently running
+    this._activeOperations = 0;
+
+    // Names of the temporary files sync clients and downloads write next to a
+    // file while it is being transferred; {name} is the file's name
+    const PARTIAL_FILE_PATTERNS = [
+        '^{name}\\.(part|partial|crdownload|download|tmp)$', // downloads, OneDrive
+        '^\\.syncthing\\.{name}\\.tmp$',                   // Syncthing
+        '^\\.{name}\\.',                                     // rsync, Nextcloud, ownCloud
+        '^\\.?~\\$?{name}'                                   // Dropbox, Office
+    ];
+
     /**
      * Initialize the sync manager
      */
@@ -27,18 +39,46 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
         Zotero.debug('ZotTablet SyncManager: Shutdown');
     };
 
+    /**
+     * Check if a send or get operation is in progress
+     */
+    this.isBusy = function() {
+        return this._activeOperations > 0;
+    };
+
+    /**
+     * Run an operation while marking the sync manager as busy
+     */
+    this._trackOperation = async function(fn) {
+        this._activeOperations++;
+        try {
+            return await fn();
+        } finally {
+            this._activeOperations--;
+        }
+    };
+
     // ==================== Tag Management ====================
 
     /**
      * Get tablet tags
+     * @param {Object} profile - Profile whose tags to get (default profile if omitted)
      */
-    this.getTags = function() {
+    this.getTags = function(profile = null) {
+        profile = profile || ZT.Profiles.getDefault();
         return {
-            onTablet: ZT.getPref('tagOnTablet') || '_tablet',
-            modified: ZT.getPref('tagModified') || '_tablet_modified'
+            onTablet: profile.tagOnTablet,
+            modified: profile.tagModified
         };
     };
 
+    /**
+     * Get the tablet tags of the profile an attachment was sent to
+     */
+    this.getTagsFor = function(attachment) {
+        return this.getTags(this.getProfileOf(attachment));
+    };
+
     // ==================== Validation ====================
 
     /**
@@ -55,8 +95,13 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
                 invalid.push({ item: att, reason: 'Not a child attachment' });
                 continue;
             }
+            const readOnly = ZT.getReadOnlyReason(att);
+            if (readOnly) {
+                invalid.push({ item: att, reason: readOnly });
+                continue;
+            }
             if (!ZT.checkFileType(att)) {
-                invalid.push({ item: att, reason: 'Not a PDF' });
+                invalid.push({ item: att, reason: 'File type not enabled for syncing' });
                 continue;
             }
             if (this.isOnTablet(att)) {
@@ -83,6 +128,11 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
                 invalid.push({ item: att, reason: 'Not on tablet' });
                 continue;
             }
+            const readOnly = ZT.getReadOnlyReason(att);
+            if (readOnly) {
+                invalid.push({ item: att, reason: readOnly });
+                continue;
+            }
             valid.push(att);
         }
 
@@ -102,7 +152,7 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
      * Add tablet tag to attachment and parent
      */
     this.addTabletTag = async function(attachment, tag) {
-        const tags = this.getTags();
+        const tags = this.getTagsFor(attachment);
         const otherTag = tag === tags.onTablet ? tags.modified : tags.onTablet;
 
         // Add to attachment
@@ -145,95 +195,68 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
     // ==================== Tablet Info Storage ====================
 
     /**
-     * Store tablet info in attachment note
+     * Store tablet info of an attachment
      */
     this.setTabletInfo = function(attachment, info) {
-        const content = attachment.getNote() || '';
-
-        // Parse existing content
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(content || '<html><body></body></html>', 'text/html');
-
-        // Find or create zottablet data element
-        let dataEl = doc.querySelector('#zottablet-data');
-        if (!dataEl) {
-            dataEl = doc.createElement('p');
-            dataEl.id = 'zottablet-data';
-            dataEl.style.color = '#cccccc';
-            dataEl.style.fontSize = '10px';
-            dataEl.textContent = '(ZotTablet sync data)';
-            doc.body.appendChild(dataEl);
-        }
-
-        // Store info as data attribute
-        dataEl.setAttribute('data-zottablet', JSON.stringify(info));
-
-        attachment.setNote(doc.body.innerHTML);
+        ZT.TabletStore.set(attachment, info);
     };
 
     /**
-     * Get tablet info from attachment note
+     * Get tablet info of an attachment
      */
     this.getTabletInfo = function(attachment) {
-        const content = attachment.getNote() || '';
-        if (!content) return null;
+        const info = this._readTabletInfo(attachment);
+        if (!info) return null;
 
-        try {
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(content, 'text/html');
-            const dataEl = doc.querySelector('#zottablet-data');
-
-            if (dataEl) {
-                const data = dataEl.getAttribute('data-zottablet');
-                if (data) {
-                    const info = JSON.parse(data);
-                    // Resolve base folder placeholder
-                    if (info.location) {
-                        let destDir = ZT.getPref('destDir') || '';
-                        // Remove trailing slash from destDir to avoid double slashes
-                        destDir = destDir.replace(/[\/\\]+$/, '');
-                        info.location = info.location.replace('[BaseFolder]', destDir);
-                        Zotero.debug(`ZotTablet: getTabletInfo - resolved location: ${info.location}`);
-                    }
-                    return info;
-                }
-            }
-        } catch (e) {
-            Zotero.logError(e);
+        // Resolve base folder placeholder against the folder of the info's profile
+        if (info.location) {
+            let destDir = ZT.Profiles.getProfile(info.profile).destDir;
+            // Remove trailing slash from destDir to avoid double slashes
+            destDir = destDir.replace(/[\/\\]+$/, '');
+            info.location = info.location.replace('[BaseFolder]', destDir);
+            Zotero.debug(`ZotTablet: getTabletInfo - resolved location: ${info.location}`);
         }
-
-        return null;
+        return info;
     };
 
     /**
-     * Clear tablet info from attachment note
+     * Read the stored tablet info of an attachment, without resolving paths
      */
-    this.clearTabletInfo = function(attachment) {
-        const content = attachment.getNote() || '';
-        if (!content) return;
+    this._readTabletInfo = function(attachment) {
+        return ZT.TabletStore.get(attachment);
+    };
 
-        try {
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(content, 'text/html');
-            const dataEl = doc.querySelector('#zottablet-data');
+    /**
+     * Get the profile an attachment was sent to
+     * Attachments without tablet info, or sent before profiles existed, belong
+     * to the default profile.
+     */
+    this.getProfileOf = function(attachment) {
+        const info = this._readTabletInfo(attachment);
+        return ZT.Profiles.getProfile(info && info.profile);
+    };
 
-            if (dataEl) {
-                dataEl.remove();
-                attachment.setNote(doc.body.innerHTML);
-            }
-        } catch (e) {
-            Zotero.logError(e);
-        }
+    /**
+     * Clear tablet info of an attachment
+     */
+    this.clearTabletInfo = function(attachment) {
+        ZT.TabletStore.remove(attachment);
     };
 
     // ==================== Status Checks ====================
 
     /**
      * Check if attachment is on tablet
+     * @param {Object} profile - Only count attachments sent with this profile
+     *                           (any profile if omitted)
      */
-    this.isOnTablet = function(attachment) {
-        const tags = this.getTags();
-        return attachment.hasTag(tags.onTablet) || attachment.hasTag(tags.modified);
+    this.isOnTablet = function(attachment, profile = null) {
+        if (profile) {
+            const tags = this.getTags(profile);
+            return (attachment.hasTag(tags.onTablet) || attachment.hasTag(tags.modified)) &&
+                this.getProfileOf(attachment).id === profile.id;
+        }
+        return ZT.Profiles.getAllTags().some(tag => attachment.hasTag(tag));
     };
 
     /**
@@ -245,12 +268,50 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
         const info = this.getTabletInfo(attachment);
         if (!info || !info.location) return false;
 
-        // Check if file exists using ZT wrapper
-        if (!(await ZT.fileExists(info.location))) return false;
+        const path = await ZT.FilenamePolicy.resolvePath(info.location);
+        if (!path) return false;
 
-        // Compare modification times
-        const currentModTime = await ZT.getFileModTime(info.location);
-        return currentModTime > info.lastmod;
+        return await this.hasFileChanged(path, info, attachment);
+    };
+
+    /**
+     * Check if a file differs from the version recorded in tablet info
+     * The modification time is only a cheap first filter: cloud clients and USB
+     * copies bump mtimes without touching the content, so a newer mtime is
+     * confirmed against the stored size and content hash.
+     * @param {string} path - File to check
+     * @param {Object} info - Tablet info ({ lastmod, size, hash })
+     * @param {Zotero.Item} attachment - Attachment info belongs to, if it is the attachment's
+     *                                   own tablet info; a newer mtime the hash shows to be a
+     *                                   false alarm is then recorded, so the file isn't hashed
+     *                                   again on every check
+     * @returns {Promise<boolean>}
+     */
+    this.hasFileChanged = async function(path, info, attachment = null) {
+        if (!path) return false;
+
+        const modTime = await ZT.getFileModTime(path);
+        if (modTime <= (info.lastmod || 0)) return false;
+
+        // Records written before hashes were stored can only use mtime
+        if (!info.hash) return true;
+
+        if (info.size !== undefined && (await ZT.getFileSize(path)) !== info.size) {
+            return true;
+        }
+
+        const hash = await ZT.getFileHash(path);
+        if (!hash || hash !== info.hash) return true;
+
+        info.lastmod = modTime;
+        if (attachment) {
+            const stored = this._readTabletInfo(attachment);
+            if (stored) {
+                stored.lastmod = modTime;
+                this.setTabletInfo(attachment, stored);
+            }
+        }
+        return false;
     };
 
     /**
@@ -265,14 +326,93 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
             return await attachment.getFilePathAsync();
         }
 
-        // Background mode: file is at stored location
-        if (info.location && await ZT.fileExists(info.location)) {
-            return info.location;
+        // Background mode: file is at stored location, possibly renamed to
+        // another Unicode normalisation form by a sync client
+        return await ZT.FilenamePolicy.resolvePath(info.location);
+    };
+
+    /**
+     * Look for a tablet file that was renamed or moved inside the tablet folder
+     * Files are matched by the size and content hash stored in tablet info, so
+     * a file that was also modified after being moved can't be found. Files
+     * still at the location of another attachment on tablet are never claimed,
+     * so duplicates of the same PDF can't take each other's tablet file.
+     * @param {Object} info - Tablet info of the attachment
+     * @param {Object} search - Shared between calls of one batch, so the tablet
+     *                          folder is listed and each file hashed only once
+     * @returns {Promise<string|null>} New path of the file
+     */
+    this.findMovedTabletFile = async function(info, search = {}) {
+        const destDir = info ? ZT.Profiles.getProfile(info.profile).destDir : '';
+        if (!info || !info.hash || info.size === undefined || !destDir) return null;
+
+        // One search state per tablet folder, as a batch can span profiles
+        if (!search[destDir]) {
+            search[destDir] = {};
+        }
+        search = search[destDir];
+
+        if (!search.files) {
+            search.hashes = new Map();
+            search.taken = new Set();
+            search.files = (async () => {
+                for (const attachment of await this.getAttachmentsOnTablet(null, { includeReadOnly: true })) {
+                    if (this.getProfileOf(attachment).destDir !== destDir) continue;
+                    const path = await this.getTabletFilePath(attachment);
+                    if (path) search.taken.add(path);
+                }
+
+                if (!(await ZT.fileExists(destDir))) return [];
+                const files = [];
+                for (const path of await ZT.listFilesRecursive(destDir)) {
+                    files.push({ path, size: await ZT.getFileSize(path) });
+                }
+                return files;
+            })();
+        }
+
+        for (const file of await search.files) {
+            if (file.size !== info.size || search.taken.has(file.path)) continue;
+
+            if (!search.hashes.has(file.path)) {
+                search.hashes.set(file.path, ZT.getFileHash(file.path));
+            }
+            if ((await search.hashes.get(file.path)) === info.hash && !search.taken.has(file.path)) {
+                search.taken.add(file.path);
+                Zotero.debug(`ZotTablet: Found moved tablet file at ${file.path}`);
+                return file.path;
+            }
         }
 
         return null;
     };
 
+    /**
+     * Point an attachment's tablet info (or, in foreground mode, the
+     * attachment itself) at the new location of its tablet file
+     */
+    this.updateTabletLocation = async function(attachment, info, newPath) {
+        // The sidecar follows its file
+        const oldPath = info.mode === this.MODE_FOREGROUND ? attachment.getFilePath() : info.location;
+        try {
+            await ZT.Sidecars.move(oldPath, newPath);
+        } catch (e) {
+            Zotero.logError(e);
+        }
+
+        if (info.mode === this.MODE_FOREGROUND) {
+            await attachment.relinkAttachmentFile(newPath);
+            return;
+        }
+
+        const destDir = ZT.Profiles.getProfile(info.profile).destDir.replace(/[\/\\]+$/, '');
+        this.setTabletInfo(attachment, {
+            ...info,
+            location: ZT.FilenamePolicy.normalize(newPath.replace(destDir, '[BaseFolder]'))
+        });
+        await attachment.saveTx();
+    };
+
     // ==================== Send to Tablet ====================
 
     /**
@@ -280,25 +420,43 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
      * Uses parallel processing for file operations, sequential for DB operations
      * @param {Zotero.Item[]} attachments - Attachments to send
      * @param {string} projectFolder - Optional project subfolder
+     * @param {Object} options - { plan: send plan from planSend, whose target paths and
+     *                            profile are used, profile: ID of the profile to send with,
+     *                            collection: ID of the collection the items are sent from,
+     *                            interactive: false to never prompt (automatic sends) }
+     */
+    this.sendToTablet = async function(attachments, projectFolder = '', options = {}) {
+        return await this._trackOperation(() => this._sendToTablet(attachments, projectFolder, options));
+    };
+
+    /**
+     * Implementation of sendToTablet
      */
-    this.sendToTablet = async function(attachments, projectFolder = '') {
+    this._sendToTablet = async function(attachments, projectFolder, options) {
         // Cache all preferences at start
-        const prefs = {
-            destDir: ZT.getPref('destDir'),
-            mode: ZT.getPref('mode') || this.MODE_BACKGROUND,
-            rename: ZT.getPref('rename'),
-            subfolder: ZT.getPref('subfolder'),
-            subfolderFormat: ZT.getPref('subfolderFormat') || '',
-            infoWindowDuration: ZT.getPref('infoWindowDuration')
-        };
+        const profile = ZT.Profiles.getProfile(options.plan ? options.plan.profile : options.profile);
+        const prefs = this._getSendPrefs(profile);
+        if (!options.plan) {
+            prefs.collectionPaths = this._resolveCollectionPaths(
+                attachments, prefs, options.collection, options.interactive !== false
+            );
+        }
+
+        // Target paths reviewed in a preview
+        const plannedTargets = new Map();
+        if (options.plan) {
+            for (const entry of options.plan.entries) {
+                plannedTargets.set(entry.attachment.id, entry.targetPath);
+            }
+        }
 
         if (!prefs.destDir) {
-            ZT.showInfo('Error', 'Please set the destination folder in preferences');
+            ZT.showInfo('Error', `Please set the destination folder of profile "${profile.name}" in preferences`);
             return;
         }
 
-        const progressWin = ZT.showProgress('Sending to Tablet');
-        const tags = this.getTags();
+        const progressWin = ZT.showCancellableProgress('Sending to Tablet');
+        const tags = this.getTags(profile);
         const self = this;
 
         // Filter valid attachments first
@@ -312,67 +470,104 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
             return;
         }
 
+        const undo = ZT.UndoManager.begin('send');
+        // Tablet paths taken by files of this batch, which are written in parallel
+        const reserved = new Set();
+
         // Define per-item file processor (parallelizable)
         const processFile = async (attachment) => {
+            await ZT.UndoManager.snapshot(undo, attachment);
+
             const sourcePath = await attachment.getFilePathAsync();
             if (!sourcePath || !(await ZT.fileExists(sourcePath))) {
                 throw new Error('Source file not found');
             }
 
-            // Get parent item for metadata
-            const parent = Zotero.Items.get(attachment.parentItemID);
-
-            // Determine filename
-            let filename = attachment.attachmentFilename;
-            if (prefs.rename && parent) {
-                filename = self._formatFilename(parent, filename);
-            }
-
             // Determine destination path
-            let targetDir = prefs.destDir;
-            if (projectFolder) {
-                targetDir = ZT.joinPath(prefs.destDir, projectFolder);
-            }
-            if (prefs.subfolder && parent) {
-                const subfolder = self._formatSubfolder(parent, prefs.subfolderFormat);
-                targetDir = ZT.joinPath(targetDir, subfolder);
-            }
-
-            const targetPath = ZT.joinPath(targetDir, filename);
+            const target = self._getSendTarget(attachment, prefs, projectFolder);
+            const filename = target.filename;
+            const requestedPath = plannedTargets.get(attachment.id) || target.targetPath;
 
             // Ensure directory exists
-            await ZT.ensureDirectory(targetDir);
+            await ZT.ensureDirectory(ZT.getParentDir(requestedPath));
+
+            // Claim the name before writing, so no other file of the batch gets it
+            const targetPath = await ZT.getAvailablePath(requestedPath, reserved);
 
             let finalPath;
+            let journalEntry = null;
+            let transformed = null;
+            let origin = null;
 
             if (prefs.mode === self.MODE_BACKGROUND) {
-                // Background mode: copy file
-                finalPath = await ZT.copyFile(sourcePath, targetPath);
+                // Background mode: copy file, through the configured transforms if any
+                const transforms = ZT.Transforms.getTransformsFor(attachment);
+                if (transforms.length > 0) {
+                    transformed = {
+                        names: transforms.map(t => t.name),
+                        changesGeometry: transforms.some(t => t.changesGeometry),
+                        source: await self._getFileState(sourcePath)
+                    };
+                    const output = await ZT.Transforms.run(sourcePath, transforms);
+                    try {
+                        finalPath = await ZT.copyFile(output.path, targetPath);
+                    } finally {
+                        await output.cleanup();
+                    }
+                } else {
+                    finalPath = await ZT.copyFile(sourcePath, targetPath);
+                }
+                ZT.UndoManager.recordChange(undo, attachment, { action: 'created', path: finalPath });
             } else {
-                // Foreground mode: move file and relink
-                finalPath = await ZT.moveFile(sourcePath, targetPath);
-                await attachment.relinkAttachmentFile(finalPath);
+                // Foreground mode: move file and relink, journalled so a crash
+                // in between can be repaired on the next startup
+                // Where the file came from, so it can be put back there
+                origin = { path: sourcePath, linkMode: attachment.attachmentLinkMode };
+                journalEntry = await ZT.Journal.begin('send', attachment, sourcePath, targetPath, {
+                    destDir: prefs.destDir,
+                    mode: prefs.mode,
+                    projectFolder,
+                    profile: profile.id,
+                    origin
+                });
+                try {
+                    // Exactly the journalled path, so recovery finds this file and no other
+                    finalPath = await ZT.moveFile(sourcePath, targetPath, true);
+                    ZT.UndoManager.recordChange(undo, attachment, { action: 'moved', from: sourcePath, to: finalPath });
+                    await attachment.relinkAttachmentFile(finalPath);
+                } catch (e) {
+                    await ZT.Journal.abort(journalEntry);
+                    throw e;
+                }
             }
 
-            // Get modification time for tablet info
-            const modTime = await ZT.getFileModTime(finalPath);
+            const sidecarPath = await ZT.Sidecars.write(attachment, finalPath, prefs.sidecarFormat);
+            if (sidecarPath) {
+                ZT.UndoManager.recordChange(undo, attachment, { action: 'created', path: sidecarPath });
+            }
 
             return {
                 attachment,
                 finalPath,
-                modTime,
-                filename
+                journalEntry,
+                transformed,
+                origin,
+                filename,
+                ...(await self._getFileState(finalPath))
             };
         };
 
-        // Process files in parallel (max 3 concurrent)
-        const { successes, errors } = await ZT.processInBatches(
+        // Process files in parallel, as many at once as the profile's folder allows;
+        // files already copied when Cancel is pressed are still recorded below
+        const { successes, errors, skipped } = await ZT.processInBatches(
             validAttachments,
             processFile,
             {
-                concurrency: 3,
+                concurrency: prefs.concurrency,
+                signal: progressWin.signal,
                 onProgress: (done, total) => {
                     progressWin.changeHeadline(`Sending to Tablet (${done}/${total})`);
+                    progressWin.setProgress(done, total);
                 }
             }
         );
@@ -381,23 +576,40 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
         for (const result of successes) {
             try {
                 // Store tablet info
-                this.setTabletInfo(result.attachment, {
-                    location: result.finalPath.replace(prefs.destDir, '[BaseFolder]'),
-                    lastmod: result.modTime,
-                    mode: prefs.mode,
-                    projectFolder: projectFolder
-                });
+                const info = this._buildTabletInfo(result.finalPath, result, prefs.destDir, prefs.mode, projectFolder, profile.id);
+                if (result.transformed) {
+                    // The Zotero file gets its own baseline, as it differs from the tablet copy
+                    const { modTime, size, hash } = result.transformed.source;
+                    info.transforms = result.transformed.names;
+                    info.source = { lastmod: modTime, size, hash };
+                    if (result.transformed.changesGeometry) {
+                        info.changesGeometry = true;
+                    }
+                }
+                if (result.origin) {
+                    info.origin = result.origin;
+                }
+                this.setTabletInfo(result.attachment, info);
 
                 // Add tablet tag
                 await this.addTabletTag(result.attachment, tags.onTablet);
+
+                if (result.journalEntry) {
+                    await ZT.Journal.complete(result.journalEntry);
+                }
             } catch (e) {
                 Zotero.logError(e);
                 errors.push(ZT.createError(result.attachment, e, C.ERROR_CODES.UNKNOWN));
             }
         }
 
+        await ZT.UndoManager.commit(undo);
+
         // Build result message
         let message = `Sent ${successes.length} file(s) to tablet`;
+        if (skipped.length > 0) {
+            message = `Cancelled: sent ${successes.length} of ${validAttachments.length} file(s) to tablet`;
+        }
         if (errors.length > 0) {
             message += ' ' + ZT.formatErrorSummary(errors);
         }
@@ -413,19 +625,35 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
      * Uses parallel processing for file operations, sequential for DB and conflict resolution
      * @param {Zotero.Item[]} attachments - Attachments to retrieve
      * @param {boolean} extractAnnotationsFlag - Whether to extract annotations
+     * @param {Object} options - { plan: get plan from planGet, whose destination paths are used }
      */
-    this.getFromTablet = async function(attachments, extractAnnotationsFlag = true) {
+    this.getFromTablet = async function(attachments, extractAnnotationsFlag = true, options = {}) {
+        return await this._trackOperation(() => this._getFromTablet(attachments, extractAnnotationsFlag, options));
+    };
+
+    /**
+     * Implementation of getFromTablet
+     */
+    this._getFromTablet = async function(attachments, extractAnnotationsFlag, options) {
         Zotero.debug(`ZotTablet: getFromTablet called with ${attachments.length} attachment(s)`);
 
+        // Destination paths reviewed in a preview
+        const plannedTargets = new Map();
+        if (options.plan) {
+            for (const entry of options.plan.entries) {
+                if (entry.action === 'move') {
+                    plannedTargets.set(entry.attachment.id, entry.finalPath);
+                }
+            }
+        }
+
         // Cache preferences at start
         const prefs = {
-            destDir: ZT.getPref('destDir'),
             extractOnSync: ZT.getPref('extractOnSync'),
             infoWindowDuration: ZT.getPref('infoWindowDuration')
         };
 
-        const progressWin = ZT.showProgress('Getting from Tablet');
-        const tags = this.getTags();
+        const progressWin = ZT.showCancellableProgress('Getting from Tablet');
         const self = this;
 
         // Filter to attachments actually on tablet
@@ -438,60 +666,63 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
         }
 
         // First pass: gather file info in parallel (read-only operations)
-        const gatherInfo = async (attachment) => {
-            const info = self.getTabletInfo(attachment);
-            if (!info) {
-                return { skip: true, reason: 'no_info' };
-            }
-
-            const tabletPath = await self.getTabletFilePath(attachment);
-            if (!tabletPath) {
-                return { skip: true, reason: 'no_file', attachment, needsCleanup: true };
-            }
-
-            const zoteroPath = await attachment.getFilePathAsync();
-            const tabletModTime = await ZT.getFileModTime(tabletPath);
-            const zoteroModTime = zoteroPath ? await ZT.getFileModTime(zoteroPath) : 0;
-            const savedModTime = info.lastmod || 0;
-
-            const tabletModified = tabletModTime > savedModTime;
-            const zoteroModified = zoteroModTime > savedModTime;
-
-            return {
-                attachment,
-                info,
-                tabletPath,
-                zoteroPath,
-                tabletModified,
-                zoteroModified,
-                hasConflict: tabletModified && zoteroModified
-            };
-        };
-
-        // Gather info in parallel
-        const { successes: infoResults, errors: gatherErrors } = await ZT.processInBatches(
+        const search = {};
+        const concurrency = this._getConcurrency(tabletAttachments);
+        const { successes: infoResults, errors: gatherErrors, cancelled: gatherCancelled } = await ZT.processInBatches(
             tabletAttachments,
-            gatherInfo,
+            attachment => self._gatherGetInfo(attachment, search, { signal: progressWin.signal }),
             {
-                concurrency: 3,
+                concurrency,
+                signal: progressWin.signal,
                 onProgress: (done, total) => {
                     progressWin.changeHeadline(`Checking files (${done}/${total})`);
+                    progressWin.setProgress(done, total);
                 }
             }
         );
 
+        // Nothing has been changed while checking; a cancel during the last
+        // files' wait for their sync client leaves nothing skipped
+        if (gatherCancelled || progressWin.signal.aborted) {
+            progressWin.addDescription('Cancelled: no files retrieved');
+            progressWin.startCloseTimer(prefs.infoWindowDuration);
+            return;
+        }
+
         // Separate results
         const toProcess = [];
         const toCleanup = [];
         const conflicts = [];
+        // Still being synced, left on the tablet for a later retrieval
+        const deferred = [];
 
         for (const result of infoResults) {
             if (result.skip) {
                 if (result.needsCleanup) {
                     toCleanup.push(result.attachment);
+                } else if (result.reason === 'unstable') {
+                    deferred.push(result.attachment);
+                } else if (result.reason === 'unknown_profile') {
+                    gatherErrors.push(ZT.createError(
+                        result.attachment,
+                        new Error('Sent with a profile that no longer exists'),
+                        C.ERROR_CODES.INVALID_CONFIG
+                    ));
                 }
                 continue;
             }
+            // Remember where a renamed or moved tablet file is now, in case
+            // the retrieval is cancelled or fails
+            if (result.relocated) {
+                try {
+                    await this.updateTabletLocation(result.attachment, result.info, result.tabletPath);
+                    if (result.info.mode === this.MODE_FOREGROUND) {
+                        result.zoteroPath = result.tabletPath;
+                    }
+                } catch (e) {
+                    Zotero.logError(e);
+                }
+            }
             if (result.hasConflict) {
                 conflicts.push(result);
             } else {
@@ -501,61 +732,124 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
 
         // Handle conflicts sequentially (requires user interaction)
         for (const conflict of conflicts) {
-            const resolution = await this._resolveConflict(
+            const { resolution, mergeAnnotations } = await this._resolveConflict(
                 conflict.attachment,
                 conflict.tabletPath,
                 conflict.zoteroPath
             );
-            if (resolution === 'tablet') {
-                conflict.useTablet = true;
-                toProcess.push(conflict);
-            } else if (resolution === 'zotero') {
-                conflict.useTablet = false;
+            // Cancel - skip this file
+            if (resolution !== C.CONFLICT.CANCEL) {
+                conflict.resolution = resolution;
+                conflict.mergeAnnotations = mergeAnnotations;
                 toProcess.push(conflict);
             }
-            // 'cancel' - skip this file
+        }
+
+        // Ask what to do with linked files whose original folder can't be used
+        for (const item of [...toProcess]) {
+            if (!item.retrieveTarget || !item.retrieveTarget.problem) continue;
+
+            const choice = this._resolveOriginProblem(item.attachment, item.retrieveTarget);
+            if (choice) {
+                item.originResolution = choice;
+            } else {
+                // Skip - the file stays on the tablet
+                toProcess.splice(toProcess.indexOf(item), 1);
+            }
         }
 
         // Process files in parallel
         const toExtract = [];
         const errors = [...gatherErrors];
+        const undo = ZT.UndoManager.begin('get');
+        // Zotero paths taken by files of this batch, which are moved in parallel
+        const reserved = new Set();
 
         const processFile = async (item) => {
-            const { attachment, info, tabletPath, zoteroPath, tabletModified, useTablet } = item;
+            const { attachment, info, tabletPath, zoteroPath, tabletModified, resolution } = item;
+            await ZT.UndoManager.snapshot(undo, attachment);
 
             if (info.mode === self.MODE_BACKGROUND) {
-                // Background mode: copy back if modified
-                if (tabletModified || useTablet) {
+                // Transformed copy: the original stays, only annotations come back,
+                // or the whole copy as a sibling if its annotations can't be carried over
+                if (item.transformed) {
+                    if (tabletModified && !self._canImportFromTransformed(attachment, info)) {
+                        return { attachment, shouldExtract: false, tabletPath, keepBoth: true };
+                    }
+                    return { attachment, shouldExtract: false, tabletPath, importAnnotations: tabletModified };
+                }
+
+                // Merge: Zotero file stays, tablet annotations are added to it
+                if (resolution === C.CONFLICT.MERGE) {
+                    return { attachment, shouldExtract: false, tabletPath, mergeAnnotations: item.mergeAnnotations };
+                }
+
+                // Keep both: Zotero file stays, tablet copy is imported as a sibling
+                if (resolution === C.CONFLICT.KEEP_BOTH) {
+                    return { attachment, shouldExtract: false, tabletPath, keepBoth: true };
+                }
+
+                // Background mode: copy back if modified (or chosen in a conflict)
+                const useTablet = resolution ? resolution === C.CONFLICT.TABLET : tabletModified;
+                if (useTablet) {
+                    await ZT.VersionHistory.saveVersion(attachment, zoteroPath);
+                    await ZT.UndoManager.backupFile(undo, attachment, zoteroPath, 'replaced');
                     await ZT.copyFile(tabletPath, zoteroPath, true);
                     return { attachment, shouldExtract: true, tabletPath };
                 }
                 return { attachment, shouldExtract: false, tabletPath };
-            } else {
-                // Foreground mode: move file back
-                const originalDir = Zotero.getStorageDirectory().path;
-                const originalPath = ZT.joinPath(
-                    originalDir,
-                    attachment.key,
-                    attachment.attachmentFilename
-                );
+            } else if (item.originResolution === 'store') {
+                // Linked file converted to a stored file: Zotero moves the file into
+                // storage and replaces the attachment with a new stored one
+                if ((await attachment.getFilePathAsync()) !== tabletPath) {
+                    await attachment.relinkAttachmentFile(tabletPath);
+                }
+                const stored = await Zotero.Attachments.convertLinkedFileToStoredFile(attachment, { move: true });
+                if (!stored) {
+                    throw new Error(`Could not convert "${attachment.attachmentFilename}" to a stored file`);
+                }
+                ZT.UndoManager.replaceItem(undo, attachment, stored);
+                ZT.UndoManager.recordChange(undo, stored, {
+                    action: 'moved',
+                    from: tabletPath,
+                    to: await stored.getFilePathAsync()
+                });
+                await self._removeSidecars(undo, stored, tabletPath);
 
-                await ZT.ensureDirectory(ZT.getParentDir(originalPath));
-                await ZT.moveFile(tabletPath, originalPath);
-                await attachment.relinkAttachmentFile(originalPath);
+                return { attachment: stored, shouldExtract: true, tabletPath: null };
+            } else {
+                // Foreground mode: move file back to where it came from (journalled, see sendToTablet)
+                const requestedPath = plannedTargets.get(attachment.id) || item.retrieveTarget.path;
+                const originalPath = await ZT.getAvailablePath(requestedPath, reserved);
+
+                const journalEntry = await ZT.Journal.begin('get', attachment, tabletPath, originalPath);
+                try {
+                    await ZT.ensureDirectory(ZT.getParentDir(originalPath));
+                    const finalPath = await ZT.moveFile(tabletPath, originalPath, true);
+                    ZT.UndoManager.recordChange(undo, attachment, { action: 'moved', from: tabletPath, to: finalPath });
+                    await attachment.relinkAttachmentFile(finalPath);
+                } catch (e) {
+                    await ZT.Journal.abort(journalEntry);
+                    throw e;
+                }
+                await self._removeSidecars(undo, attachment, tabletPath);
 
-                return { attachment, shouldExtract: true, tabletPath: null };
+                return { attachment, shouldExtract: true, tabletPath: null, journalEntry };
             }
         };
 
         progressWin.changeHeadline(`Retrieving files...`);
 
-        const { successes: fileResults, errors: fileErrors } = await ZT.processInBatches(
+        // Files already retrieved when Cancel is pressed are still cleaned up below
+        const { successes: fileResults, errors: fileErrors, skipped } = await ZT.processInBatches(
             toProcess,
             processFile,
             {
-                concurrency: 3,
+                concurrency,
+                signal: progressWin.signal,
                 onProgress: (done, total) => {
                     progressWin.changeHeadline(`Retrieving files (${done}/${total})`);
+                    progressWin.setProgress(done, total);
                 }
             }
         );
@@ -568,13 +862,45 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
         const toSaveDB = [];
         for (const result of fileResults) {
             try {
-                const { attachment, shouldExtract, tabletPath } = result;
+                const { attachment, shouldExtract, tabletPath, keepBoth, importAnnotations } = result;
+                let { mergeAnnotations } = result;
+                const profile = this.getProfileOf(attachment);
+                const tags = this.getTags(profile);
+
+                // Read the annotations of a transformed copy before it is removed
+                if (importAnnotations) {
+                    mergeAnnotations = await ZT.AnnotationExtractor.getAnnotationsToMerge(attachment, tabletPath);
+                }
+
+                if (mergeAnnotations) {
+                    const added = await ZT.AnnotationExtractor.mergeAnnotations(attachment, mergeAnnotations);
+                    for (const annotation of added) {
+                        ZT.UndoManager.recordChange(undo, attachment, {
+                            action: 'createdItem',
+                            libraryID: annotation.libraryID,
+                            key: annotation.key
+                        });
+                    }
+                }
+
+                // Preserve the tablet version before its file is removed
+                if (keepBoth) {
+                    const sibling = await this._importAsSibling(attachment, tabletPath);
+                    ZT.UndoManager.recordChange(undo, attachment, {
+                        action: 'createdItem',
+                        libraryID: sibling.libraryID,
+                        key: sibling.key
+                    });
+                    toExtract.push(sibling);
+                }
 
                 // Remove tablet file if it exists (background mode)
                 if (tabletPath) {
+                    await ZT.UndoManager.backupFile(undo, attachment, tabletPath, 'deleted');
                     await ZT.removeFile(tabletPath);
+                    await this._removeSidecars(undo, attachment, tabletPath);
                     const tabletDir = ZT.getParentDir(tabletPath);
-                    await ZT.removeEmptyDirs(tabletDir, prefs.destDir);
+                    await ZT.removeEmptyDirs(tabletDir, profile.destDir);
                 }
 
                 // Prepare DB updates (done in batch transaction below)
@@ -595,6 +921,14 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
         // Cleanup attachments where tablet file was missing
         for (const attachment of toCleanup) {
             try {
+                const tags = this.getTagsFor(attachment);
+                await ZT.UndoManager.snapshot(undo, attachment);
+                // The sidecar is left where the file was last seen
+                const info = this.getTabletInfo(attachment);
+                if (info) {
+                    await this._removeSidecars(undo, attachment,
+                        info.mode === this.MODE_FOREGROUND ? attachment.getFilePath() : info.location);
+                }
                 await this.removeTabletTag(attachment, tags.onTablet);
                 await this.removeTabletTag(attachment, tags.modified);
                 this.clearTabletInfo(attachment);
@@ -614,9 +948,25 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
             });
         }
 
+        for (const result of fileResults) {
+            if (result.journalEntry) {
+                await ZT.Journal.complete(result.journalEntry);
+            }
+        }
+
+        await ZT.UndoManager.commit(undo);
+
         // Build result message
         const successCount = fileResults.length;
         let message = `Retrieved ${successCount} file(s) from tablet`;
+        if (skipped.length > 0) {
+            message = `Cancelled: retrieved ${successCount} of ${toProcess.length} file(s) from tablet`;
+        }
+        if (deferred.length > 0) {
+            const names = deferred.slice(0, C.LIMITS.ERROR_DISPLAY_LIMIT).map(att => att.attachmentFilename);
+            message += `; ${deferred.length} file(s) still syncing, try again later ` +
+                `(${names.join(', ')}${deferred.length > names.length ? '...' : ''})`;
+        }
         if (errors.length > 0) {
             message += ' ' + ZT.formatErrorSummary(errors);
         }
@@ -624,9 +974,169 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
         progressWin.addDescription(message);
         progressWin.startCloseTimer(prefs.infoWindowDuration);
 
-        // Extract annotations if enabled
-        if (extractAnnotationsFlag && toExtract.length > 0 && prefs.extractOnSync) {
-            await ZT.AnnotationExtractor.extractAnnotations(toExtract);
+        // Extract annotations if enabled (only from types PDFWorker can read)
+        const annotatable = toExtract.filter(att => ZT.AnnotationExtractor.supportsAnnotations(att));
+        if (extractAnnotationsFlag && annotatable.length > 0 && prefs.extractOnSync) {
+            await ZT.AnnotationExtractor.extractAnnotations(annotatable);
+        }
+    };
+
+    // ==================== Dry Run ====================
+
+    /**
+     * Work out what sendToTablet would do, without touching any files
+     * @param {Zotero.Item[]} attachments - Attachments to send
+     * @param {string} projectFolder - Optional project subfolder
+     * @param {string} profileID - Profile to send with (default profile if omitted)
+     * @param {number} collectionID - Collection the items are sent from, for %c
+     * @returns {Promise<Object>} Plan: { operation: 'send', projectFolder, profile, profileName, mode, destDir,
+     *          entries: [{ attachment, filename, targetDir, targetPath, finalPath, renamed, transforms }],
+     *          skipped: [{ item, reason }], error? }
+     */
+    this.planSend = async function(attachments, projectFolder = '', profileID = null, collectionID = null) {
+        const profile = ZT.Profiles.getProfile(profileID);
+        const prefs = this._getSendPrefs(profile);
+        const { valid, invalid } = this.validateForSend(attachments);
+        // A dry run never prompts
+        prefs.collectionPaths = this._resolveCollectionPaths(valid, prefs, collectionID, false);
+
+        const plan = {
+            operation: 'send',
+            projectFolder,
+            profile: profile.id,
+            profileName: profile.name,
+            mode: prefs.mode,
+            destDir: prefs.destDir,
+            entries: [],
+            skipped: invalid
+        };
+
+        if (!prefs.destDir) {
+            plan.error = 'Please set the destination folder in preferences';
+            return plan;
+        }
+
+        // Paths claimed by earlier entries of the same batch
+        const reserved = new Set();
+
+        for (const attachment of valid) {
+            const sourcePath = await attachment.getFilePathAsync();
+            if (!sourcePath || !(await ZT.fileExists(sourcePath))) {
+                plan.skipped.push({ item: attachment, reason: 'Source file not found' });
+                continue;
+            }
+
+            const target = this._getSendTarget(attachment, prefs, projectFolder);
+            const finalPath = await ZT.getAvailablePath(target.targetPath, reserved);
+
+            plan.entries.push({
+                attachment,
+                sourcePath,
+                filename: target.filename,
+                targetDir: target.targetDir,
+                targetPath: target.targetPath,
+                finalPath,
+                renamed: finalPath !== target.targetPath,
+                transforms: prefs.mode === this.MODE_BACKGROUND
+                    ? ZT.Transforms.getTransformsFor(attachment).map(t => t.name)
+                    : []
+            });
+        }
+
+        return plan;
+    };
+
+    /**
+     * Work out what getFromTablet would do, without touching any files
+     * @param {Zotero.Item[]} attachments - Attachments to retrieve
+     * @returns {Promise<Object>} Plan: { operation: 'get', entries: [{ attachment, action,
+     *          tabletPath, relocated, zoteroPath, finalPath, renamed, tabletModified, zoteroModified,
+     *          hasConflict, toOrigin, originProblem }], skipped: [{ item, reason }] }
+     *          toOrigin is set for linked files moved back to their original folder; originProblem
+     *          ('missing', 'readonly' or 'unknown') if that folder can't be used as is
+     *          action is 'copy', 'move', 'discard' (unchanged tablet copy is removed),
+     *          'annotations' (annotations are imported from a transformed copy),
+     *          'sibling' (a transformed copy whose annotations can't be imported is
+     *          kept as a new attachment),
+     *          'conflict' or 'cleanup' (tablet file is missing)
+     */
+    this.planGet = async function(attachments) {
+        const { valid, invalid } = this.validateForGet(attachments);
+
+        const plan = {
+            operation: 'get',
+            entries: [],
+            skipped: invalid
+        };
+
+        const reserved = new Set();
+        const search = {};
+
+        for (const attachment of valid) {
+            const result = await this._gatherGetInfo(attachment, search, { readOnly: true });
+
+            if (result.skip) {
+                if (result.needsCleanup) {
+                    plan.entries.push({ attachment, action: 'cleanup' });
+                } else if (result.reason === 'unstable') {
+                    plan.skipped.push({ item: attachment, reason: 'Tablet file is still being synced' });
+                } else if (result.reason === 'unknown_profile') {
+                    plan.skipped.push({ item: attachment, reason: 'Sent with a profile that no longer exists' });
+                } else {
+                    plan.skipped.push({ item: attachment, reason: 'No tablet info' });
+                }
+                continue;
+            }
+
+            const entry = {
+                attachment,
+                tabletPath: result.tabletPath,
+                relocated: result.relocated,
+                zoteroPath: result.zoteroPath,
+                finalPath: result.zoteroPath,
+                renamed: false,
+                tabletModified: result.tabletModified,
+                zoteroModified: result.zoteroModified,
+                hasConflict: result.hasConflict
+            };
+
+            if (result.hasConflict) {
+                entry.action = 'conflict';
+            } else if (result.transformed) {
+                if (!result.tabletModified) {
+                    entry.action = 'discard';
+                } else {
+                    entry.action = this._canImportFromTransformed(attachment, result.info) ? 'annotations' : 'sibling';
+                }
+            } else if (result.info.mode === this.MODE_BACKGROUND) {
+                entry.action = result.tabletModified ? 'copy' : 'discard';
+            } else {
+                const target = result.retrieveTarget;
+                const targetPath = target.path || this._getStoragePath(attachment);
+                entry.action = 'move';
+                entry.toOrigin = target.linked;
+                entry.originProblem = target.problem;
+                entry.finalPath = await ZT.getAvailablePath(targetPath, reserved);
+                entry.renamed = entry.finalPath !== targetPath;
+            }
+
+            plan.entries.push(entry);
+        }
+
+        return plan;
+    };
+
+    /**
+     * Carry out a plan returned by planSend or planGet
+     */
+    this.executePlan = async function(plan) {
+        const attachments = plan.entries.map(entry => entry.attachment);
+        if (attachments.length === 0) return;
+
+        if (plan.operation === 'send') {
+            await this.sendToTablet(attachments, plan.projectFolder, { plan });
+        } else {
+            await this.getFromTablet(attachments, true, { plan });
         }
     };
 
@@ -636,9 +1146,9 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
      * Check and update modification status for tablet attachments
      * Uses parallel processing for file checks, sequential for DB operations
      * @param {Zotero.Item[]} attachments - Attachments to check
+     * @param {Object} options - { silent: true to suppress the result notification }
      */
-    this.checkModifications = async function(attachments) {
-        const tags = this.getTags();
+    this.checkModifications = async function(attachments, options = {}) {
         const self = this;
 
         // Filter to tablet attachments
@@ -648,12 +1158,29 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
             return 0;
         }
 
-        // Check modification status in parallel
+        // Check modification status in parallel, following tablet files that
+        // were renamed or moved since they were sent
+        const search = {};
         const checkMod = async (attachment) => {
-            const isModified = await self.isModified(attachment);
-            const hasModifiedTag = attachment.hasTag(tags.modified);
+            const info = self.getTabletInfo(attachment);
+            // Left alone, as in getFromTablet: the folder of a deleted profile is unknown
+            if (info && !ZT.Profiles.exists(info.profile)) {
+                Zotero.debug(`ZotTablet: ${attachment.attachmentFilename} was sent with a profile that no longer exists`);
+                return { attachment, info, relocatedPath: null, needsUpdate: false };
+            }
+            let relocatedPath = null;
+            if (info && !(await self.getTabletFilePath(attachment))) {
+                relocatedPath = await self.findMovedTabletFile(info, search);
+            }
+
+            const isModified = relocatedPath
+                ? await self.hasFileChanged(relocatedPath, info, attachment)
+                : await self.isModified(attachment);
+            const hasModifiedTag = attachment.hasTag(self.getTagsFor(attachment).modified);
             return {
                 attachment,
+                info,
+                relocatedPath,
                 isModified,
                 hasModifiedTag,
                 needsUpdate: (isModified && !hasModifiedTag) || (!isModified && hasModifiedTag)
@@ -663,14 +1190,23 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
         const { successes: checkResults } = await ZT.processInBatches(
             tabletAttachments,
             checkMod,
-            { concurrency: 3 }
+            { concurrency: this._getConcurrency(tabletAttachments) }
         );
 
         // Sequential DB operations for items that need updates
         let modifiedCount = 0;
         for (const result of checkResults) {
+            if (result.relocatedPath) {
+                try {
+                    await this.updateTabletLocation(result.attachment, result.info, result.relocatedPath);
+                } catch (e) {
+                    Zotero.logError(e);
+                }
+            }
+
             if (!result.needsUpdate) continue;
 
+            const tags = this.getTagsFor(result.attachment);
             try {
                 if (result.isModified && !result.hasModifiedTag) {
                     await this.addTabletTag(result.attachment, tags.modified);
@@ -683,7 +1219,7 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
             }
         }
 
-        if (modifiedCount > 0) {
+        if (modifiedCount > 0 && !options.silent) {
             ZT.showInfo('ZotTablet', `Found ${modifiedCount} modified file(s)`);
         }
 
@@ -692,97 +1228,608 @@ Zotero.ZotTablet.SyncManagerModule = new function() {
 
     /**
      * Get all attachments on tablet
+     * @param {Object} profile - Only return attachments sent with this profile
+     * @param {Object} options - { libraryID: only search this library, includeReadOnly:
+     *                            also search read-only libraries (all editable libraries by default) }
      */
-    this.getAttachmentsOnTablet = async function() {
-        const tags = this.getTags();
+    this.getAttachmentsOnTablet = async function(profile = null, options = {}) {
+        let libraryIDs;
+        if (options.libraryID) {
+            libraryIDs = [options.libraryID];
+        } else if (options.includeReadOnly) {
+            libraryIDs = Zotero.Libraries.getAll().map(library => library.libraryID);
+        } else {
+            libraryIDs = ZT.getEditableLibraryIDs();
+        }
 
-        const search = new Zotero.Search();
-        search.addCondition('itemType', 'is', 'attachment');
-        search.addCondition('tag', 'contains', tags.onTablet);
+        const attachments = [];
+        for (const libraryID of libraryIDs) {
+            const search = new Zotero.Search();
+            search.libraryID = libraryID;
+            search.addCondition('joinMode', 'any');
+            for (const tag of ZT.Profiles.getAllTags()) {
+                search.addCondition('tag', 'is', tag);
+            }
 
-        const ids = await search.search();
-        return Zotero.Items.get(ids).filter(item =>
-            item.isAttachment() && !item.isTopLevelItem()
-        );
+            const ids = await search.search();
+            attachments.push(...Zotero.Items.get(ids).filter(item =>
+                item.isAttachment() && !item.isTopLevelItem() && this.isOnTablet(item, profile)
+            ));
+        }
+        return attachments;
     };
 
     // ==================== Helper Functions ====================
 
     /**
-     * Format filename based on parent item metadata
+     * Read the preferences used to send files
+     * @param {Object} profile - Profile to send with (default profile if omitted)
      */
-    this._formatFilename = function(item, originalFilename) {
-        // Get extension
-        const ext = ZT.getFileExtension(originalFilename);
+    this._getSendPrefs = function(profile = null) {
+        profile = profile || ZT.Profiles.getDefault();
+        return {
+            destDir: profile.destDir,
+            mode: profile.mode || this.MODE_BACKGROUND,
+            rename: profile.rename,
+            renameFormat: profile.renameFormat || C.PREF_DEFAULTS.renameFormat,
+            subfolder: profile.subfolder,
+            subfolderFormat: profile.subfolderFormat || '',
+            filenamePolicy: profile.filenamePolicy || C.PREF_DEFAULTS.filenamePolicy,
+            concurrency: profile.concurrency || C.PREF_DEFAULTS.concurrency,
+            sidecarFormat: profile.sidecarFormat || C.PREF_DEFAULTS.sidecarFormat,
+            infoWindowDuration: ZT.getPref('infoWindowDuration')
+        };
+    };
+
+    /**
+     * Remove the sidecars of a tablet file, backing them up so the retrieval
+     * can be undone
+     */
+    this._removeSidecars = async function(undo, attachment, tabletPath) {
+        for (const path of await ZT.Sidecars.find(tabletPath)) {
+            await ZT.UndoManager.backupFile(undo, attachment, path, 'deleted');
+            await ZT.removeFile(path);
+        }
+    };
+
+    /**
+     * Wait until a tablet file is no longer being written by a sync client
+     * A file is stable when its size and modification time stay the same for
+     * the stabilityWindow pref (seconds, 0 to skip the check) and no partial
+     * download of it lies next to it. Unstable files are rechecked with
+     * doubling waits.
+     * @param {Object} options - { wait: false to judge from a single sample without
+     *                            waiting (planning), signal: AbortSignal that ends the wait }
+     * @returns {Promise<boolean>} False if the file is still changing after all retries,
+     *          or when the wait was aborted
+     */
+    this._waitForStableFile = async function(path, options = {}) {
+        const windowMs = (parseFloat(ZT.getPref(C.PREF_KEYS.STABILITY_WINDOW)) || 0) * 1000;
+        if (windowMs <= 0) return true;
+
+        const getState = async () => ({
+            size: await ZT.getFileSize(path),
+            modTime: await ZT.getFileModTime(path)
+        });
+
+        let state = await getState();
+        if (options.wait === false) {
+            return Date.now() - state.modTime >= windowMs && !(await this._hasPartialSibling(path));
+        }
+
+        const signal = options.signal || null;
+        // Waits end early when the operation is cancelled
+        const sleep = ms => new Promise((resolve) => {
+            if (!signal) {
+                Zotero.Promise.delay(ms).then(resolve);
+                return;
+            }
+            const done = () => {
+                signal.removeEventListener('abort', done);
+                resolve();
+            };
+            signal.addEventListener('abort', done);
+            Zotero.Promise.delay(ms).then(done);
+        });
+
+        let delay = windowMs;
+        for (let attempt = 0; attempt <= C.LIMITS.STABILITY_RETRIES; attempt++) {
+            if (signal && signal.aborted) return false;
+
+            // Not touched for a whole window: no need to watch it
+            const settled = Date.now() - state.modTime >= windowMs;
+            if (!settled) {
+                await sleep(delay);
+                if (signal && signal.aborted) return false;
+                const next = await getState();
+                const unchanged = next.size === state.size && next.modTime === state.modTime;
+                state = next;
+                if (!unchanged) {
+                    delay *= 2;
+                    continue;
+                }
+            }
+            if (!(await this._hasPartialSibling(path))) return true;
+            await sleep(delay);
+            delay *= 2;
+        }
+
+        Zotero.debug(`ZotTablet: ${path} is still being synced`);
+        return false;
+    };
+
+    /**
+     * Check if a temporary file of a transfer of path lies in its folder
+     */
+    this._hasPartialSibling = async function(path) {
+        const name = ZT.getFilename(path).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const patterns = PARTIAL_FILE_PATTERNS.map(p => new RegExp(p.replace('{name}', () => name), 'i'));
+
+        for (const entry of await ZT.getDirectoryEntries(ZT.getParentDir(path))) {
+            const entryName = ZT.getFilename(entry);
+            if (entryName !== ZT.getFilename(path) && patterns.some(p => p.test(entryName))) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    /**
+     * Get how many files of attachments to handle at once: the lowest
+     * concurrency of their profiles, so a slow destination isn't overloaded
+     */
+    this._getConcurrency = function(attachments) {
+        const limits = new Set(attachments.map(att => this.getProfileOf(att).concurrency));
+        return limits.size > 0 ? Math.min(...limits) : C.PREF_DEFAULTS.concurrency;
+    };
+
+    /**
+     * Read modification time, size and content hash of a file for tablet info
+     * @returns {Promise<{ modTime: number, size: number, hash: string|null }>}
+     */
+    this._getFileState = async function(path) {
+        return {
+            modTime: await ZT.getFileModTime(path),
+            size: await ZT.getFileSize(path),
+            hash: await ZT.getFileHash(path)
+        };
+    };
+
+    /**
+     * Build the tablet info record for a sent file
+     * @param {string} finalPath - Path of the file on the tablet
+     * @param {Object} fileState - From _getFileState
+     * @param {string} profileID - Profile the file was sent with
+     */
+    this._buildTabletInfo = function(finalPath, fileState, destDir, mode, projectFolder, profileID = C.DEFAULT_PROFILE_ID) {
+        return {
+            location: ZT.FilenamePolicy.normalize(finalPath.replace(destDir, '[BaseFolder]')),
+            lastmod: fileState.modTime,
+            size: fileState.size,
+            hash: fileState.hash,
+            mode,
+            projectFolder,
+            profile: profileID
+        };
+    };
+
+    /**
+     * Compute the tablet filename and path for an attachment
+     * @param {Zotero.Item} attachment
+     * @param {Object} prefs - From _getSendPrefs
+     * @param {string} projectFolder - Optional project subfolder
+     * @returns {{ filename: string, targetDir: string, targetPath: string }}
+     */
+    this._getSendTarget = function(attachment, prefs, projectFolder) {
+        // Get parent item for metadata
+        const parent = Zotero.Items.get(attachment.parentItemID);
+
+        // Determine filename
+        let filename = attachment.attachmentFilename;
+        if (prefs.rename && parent) {
+            filename = this._formatFilename(parent, filename, prefs.renameFormat);
+        }
+        filename = ZT.FilenamePolicy.sanitize(filename, prefs.filenamePolicy, { isFile: true });
+
+        // Determine destination directory
+        let targetDir = prefs.destDir;
+        if (projectFolder) {
+            targetDir = ZT.joinPath(prefs.destDir, projectFolder);
+        }
+        if (prefs.subfolder && parent) {
+            const collectionPath = prefs.collectionPaths ? prefs.collectionPaths.get(parent.id) : '';
+            const subfolder = this._formatSubfolder(parent, prefs.subfolderFormat, collectionPath);
+            targetDir = ZT.joinPath(targetDir, ZT.FilenamePolicy.sanitizePath(subfolder, prefs.filenamePolicy));
+        }
+
+        return { filename, targetDir, targetPath: ZT.joinPath(targetDir, filename) };
+    };
 
-        // Simple format: Author_Year_Title
-        const author = item.getCreator(0);
-        const authorName = author ? (author.lastName || author.name || 'Unknown') : 'Unknown';
-        const year = item.getField('date') ? item.getField('date').substring(0, 4) : 'NoYear';
-        let title = item.getField('title') || 'Untitled';
+    /**
+     * Get the Zotero storage path a foreground-mode file is moved back to
+     */
+    this._getStoragePath = function(attachment) {
+        return ZT.joinPath(
+            Zotero.getStorageDirectory().path,
+            attachment.key,
+            attachment.attachmentFilename
+        );
+    };
+
+    /**
+     * Gather the state of a tablet attachment for retrieval (read-only)
+     * A tablet file that is not at its stored location is searched for in the
+     * tablet folder; relocated is set if it was found elsewhere.
+     * @param {Object} search - Shared search state for findMovedTabletFile
+     * @param {Object} options - { readOnly: true when only planning: nothing is written,
+     *                            not even a probe of the original folder or a new mtime,
+     *                            and files still syncing aren't waited for;
+     *                            signal: AbortSignal that ends waiting for a syncing file }
+     */
+    this._gatherGetInfo = async function(attachment, search = {}, options = {}) {
+        const readOnly = !!options.readOnly;
+        const info = this.getTabletInfo(attachment);
+        if (!info) {
+            return { skip: true, reason: 'no_info' };
+        }
+        // The tablet folder of a deleted profile is unknown: its file can't be
+        // told apart from a missing one, so the attachment is left alone
+        if (!ZT.Profiles.exists(info.profile)) {
+            return { skip: true, reason: 'unknown_profile', attachment };
+        }
+
+        let tabletPath = await this.getTabletFilePath(attachment);
+        let relocated = false;
+        if (!tabletPath) {
+            tabletPath = await this.findMovedTabletFile(info, search);
+            relocated = !!tabletPath;
+        }
+        if (!tabletPath) {
+            return { skip: true, reason: 'no_file', attachment, needsCleanup: true };
+        }
+
+        // Don't read back a file a sync client is still writing
+        if (!(await this._waitForStableFile(tabletPath, { wait: !readOnly, signal: options.signal }))) {
+            return { skip: true, reason: 'unstable', attachment };
+        }
+
+        const zoteroPath = await attachment.getFilePathAsync();
+
+        // In foreground mode both paths point at the same file, which can
+        // only have been modified on the tablet (a relocated foreground file
+        // leaves the attachment pointing at nothing). A transformed copy never
+        // replaces the Zotero file, so it can't conflict with it.
+        const transformed = !!(info.transforms && info.transforms.length);
+        const tabletModified = await this.hasFileChanged(tabletPath, info, readOnly ? null : attachment);
+        const zoteroModified = zoteroPath && zoteroPath !== tabletPath
+            ? await this.hasFileChanged(zoteroPath, transformed && info.source ? info.source : info)
+            : false;
+
+        return {
+            attachment,
+            info,
+            tabletPath,
+            relocated,
+            zoteroPath,
+            tabletModified,
+            zoteroModified,
+            transformed,
+            hasConflict: tabletModified && zoteroModified && !transformed,
+            retrieveTarget: info.mode === this.MODE_FOREGROUND
+                ? await this._getRetrieveTarget(attachment, info, !readOnly)
+                : null
+        };
+    };
+
+    /**
+     * Work out where a foreground-mode file goes when it is retrieved
+     * Stored files go to Zotero storage; linked files go back to the path they
+     * were sent from. Without probe, the folder's permissions are read
+     * instead of writing a test file to it.
+     * @returns {Promise<{ path: string|null, linked: boolean, problem: string|null }>}
+     *          problem is 'missing' (folder no longer exists), 'readonly' or
+     *          'unknown' (sent before the original path was recorded)
+     */
+    this._getRetrieveTarget = async function(attachment, info, probe = true) {
+        const origin = info.origin;
+        const linkMode = origin ? origin.linkMode : attachment.attachmentLinkMode;
+        if (linkMode !== Zotero.Attachments.LINK_MODE_LINKED_FILE) {
+            return { path: this._getStoragePath(attachment), linked: false, problem: null };
+        }
+
+        if (!origin || !origin.path) {
+            return { path: null, linked: true, problem: 'unknown' };
+        }
 
-        // Truncate title
-        if (title.length > C.LIMITS.TITLE_TRUNCATE_LENGTH) {
-            title = title.substring(0, C.LIMITS.TITLE_TRUNCATE_LENGTH);
+        const dir = ZT.getParentDir(origin.path);
+        let problem = null;
+        if (!(await ZT.fileExists(dir))) {
+            problem = 'missing';
+        } else if (!(probe ? await ZT.isDirectoryWritable(dir) : this._hasWritePermission(dir))) {
+            problem = 'readonly';
         }
+        return { path: origin.path, linked: true, problem };
+    };
+
+    /**
+     * Check a folder's permissions without writing to it
+     */
+    this._hasWritePermission = function(path) {
+        try {
+            return Zotero.File.pathToFile(path).isWritable();
+        } catch (e) {
+            return true;
+        }
+    };
+
+    /**
+     * Format filename based on parent item metadata
+     * @param {string} format - Rename template (see Templates)
+     */
+    this._formatFilename = function(item, originalFilename, format = null) {
+        const ext = ZT.getFileExtension(originalFilename);
+        format = format || ZT.getPref(C.PREF_KEYS.RENAME_FORMAT) || C.PREF_DEFAULTS.renameFormat;
 
-        // Clean filename
-        let filename = `${authorName}_${year}_${title}`;
+        // Clean filename; separators in the template itself aren't allowed here
+        let filename = this._renderTemplate(format, C.PREF_DEFAULTS.renameFormat, item);
         filename = filename.replace(/[\/\\?*:|"<>]/g, '');
         filename = filename.replace(/\s+/g, '_');
 
-        return `${filename}.${ext}`;
+        return `${filename || 'Untitled'}.${ext}`;
     };
 
     /**
      * Format subfolder based on item metadata
+     * @param {string} format - Subfolder template (see Templates); / separates folders
+     * @param {string} collectionPath - What %c expands to
      */
-    this._formatSubfolder = function(item, format) {
+    this._formatSubfolder = function(item, format, collectionPath = '') {
         if (!format) return '';
 
-        let subfolder = format;
+        const subfolder = this._renderTemplate(format, C.PREF_DEFAULTS.subfolderFormat, item, { collectionPath });
 
-        // Replace wildcards
-        const author = item.getCreator(0);
-        const authorName = author ? (author.lastName || author.name || 'Unknown') : 'Unknown';
-        const year = item.getField('date') ? item.getField('date').substring(0, 4) : 'NoYear';
-        const journal = item.getField('publicationTitle') || 'NoJournal';
+        // Clean path, dropping folders left empty by optional segments
+        return subfolder
+            .replace(/[?*:|"<>]/g, '')
+            .split(/[\/\\]/)
+            .map(part => part.trim())
+            .filter(part => part.length > 0)
+            .join('/');
+    };
 
-        subfolder = subfolder.replace(/%a/g, authorName);
-        subfolder = subfolder.replace(/%y/g, year);
-        subfolder = subfolder.replace(/%j/g, journal);
+    /**
+     * Expand a template, falling back to the default format if it is malformed
+     * Templates are validated when they are saved; this only covers values
+     * stored some other way, so a bad one doesn't fail every send.
+     */
+    this._renderTemplate = function(format, defaultFormat, item, context = {}) {
+        try {
+            return ZT.Templates.render(format, item, context);
+        } catch (e) {
+            Zotero.logError(new Error(`ZotTablet: Invalid template "${format}" (${e.message}); using "${defaultFormat}"`));
+            return ZT.Templates.render(defaultFormat, item, context);
+        }
+    };
 
-        // Clean path
-        subfolder = subfolder.replace(/[?*:|"<>]/g, '');
+    /**
+     * Pick the collection path %c expands to for the parents of attachments
+     * Done before files are processed, since the ask rule prompts for each
+     * item in several collections.
+     * @param {Object} prefs - From _getSendPrefs
+     * @param {number} contextCollectionID - Collection the items are sent from
+     * @param {boolean} interactive - False for automatic sends and dry runs: the ask
+     *                                rule then takes the first collection instead of prompting
+     * @returns {Map<number, string>|null} Parent item ID -> collection path, or
+     *          null if the subfolder format doesn't use %c
+     */
+    this._resolveCollectionPaths = function(attachments, prefs, contextCollectionID = null, interactive = true) {
+        if (!prefs.subfolder || !ZT.Templates.uses(prefs.subfolderFormat, 'collection')) return null;
+
+        const rule = ZT.getPref(C.PREF_KEYS.COLLECTION_RULE) || C.COLLECTION_RULE.CURRENT;
+        const paths = new Map();
+
+        for (const attachment of attachments) {
+            const parent = attachment.parentItem;
+            if (!parent || paths.has(parent.id)) continue;
+
+            // Sorted by path, so "first" is stable
+            const collections = Zotero.Collections.get(parent.getCollections())
+                .map(collection => ({ collection, path: this._getCollectionPath(collection) }))
+                .sort((a, b) => a.path.localeCompare(b.path));
+            if (collections.length === 0) {
+                paths.set(parent.id, '');
+                continue;
+            }
 
-        return subfolder;
+            let chosen = collections[0];
+            if (rule === C.COLLECTION_RULE.CURRENT && contextCollectionID) {
+                // The collection sent from, or the subcollection of it holding the item
+                const inContext = collections.find(c => this._isInCollection(c.collection, contextCollectionID));
+                if (inContext) chosen = inContext;
+            } else if (rule === C.COLLECTION_RULE.ASK && interactive && collections.length > 1) {
+                const selected = {};
+                const ok = Services.prompt.select(
+                    null,
+                    'Choose Collection',
+                    `"${parent.getDisplayTitle()}" is in several collections.\n\nWhich one should its tablet subfolder follow?`,
+                    collections.map(c => c.path),
+                    selected
+                );
+                if (ok) chosen = collections[selected.value];
+            }
+            paths.set(parent.id, chosen.path);
+        }
+
+        return paths;
+    };
+
+    /**
+     * Get the folder path of a collection: its name and those of its
+     * ancestors, made into valid folder names
+     */
+    this._getCollectionPath = function(collection) {
+        const names = [];
+        for (let c = collection; c; c = c.parentID ? Zotero.Collections.get(c.parentID) : null) {
+            names.unshift(ZT.sanitizeFolderName(c.name));
+        }
+        return names.join('/');
+    };
+
+    /**
+     * Check if a collection is the given collection or one of its descendants
+     */
+    this._isInCollection = function(collection, ancestorID) {
+        for (let c = collection; c; c = c.parentID ? Zotero.Collections.get(c.parentID) : null) {
+            if (c.id === ancestorID) return true;
+        }
+        return false;
+    };
+
+    /**
+     * Import a file as a new child attachment next to an existing one
+     * The title and filename get a "(tablet, YYYY-MM-DD)" suffix
+     * @param {Zotero.Item} attachment - Attachment to add a sibling to
+     * @param {string} sourcePath - File to import
+     * @returns {Promise<Zotero.Item>} The new attachment
+     */
+    this._importAsSibling = async function(attachment, sourcePath) {
+        const date = Zotero.Date.dateToSQL(new Date()).substring(0, 10);
+        const suffix = ` (tablet, ${date})`;
+
+        const sibling = await Zotero.Attachments.importFromFile({
+            file: sourcePath,
+            parentItemID: attachment.parentItemID,
+            title: (attachment.getField('title') || attachment.attachmentFilename) + suffix,
+            contentType: attachment.attachmentContentType
+        });
+
+        const filename = attachment.attachmentFilename;
+        const ext = ZT.getFileExtension(filename);
+        const base = ext ? filename.substring(0, filename.length - ext.length - 1) : filename;
+        await sibling.renameAttachmentFile(base + suffix + (ext ? '.' + ext : ''), false, true);
+
+        return sibling;
+    };
+
+    /**
+     * Check if the annotations of a transformed tablet copy can be imported
+     * into the original: the type must support annotations, and no transform
+     * may have changed the page geometry they are positioned on
+     */
+    this._canImportFromTransformed = function(attachment, info) {
+        return ZT.AnnotationExtractor.canMergeAnnotations(attachment) && !info.changesGeometry;
+    };
+
+    /**
+     * Get the conflictPolicy preference, falling back to ask for unknown values
+     */
+    this._getConflictPolicy = function() {
+        const policy = ZT.getPref(C.PREF_KEYS.CONFLICT_POLICY);
+        return Object.values(C.CONFLICT).includes(policy) ? policy : C.CONFLICT.ASK;
     };
 
     /**
      * Resolve conflict when both files are modified
+     * Uses the conflictPolicy preference unless it is set to ask. The tablet
+     * annotations are read before asking, so the prompt can show how many
+     * will be merged; Merge is only offered (and a merge policy only applied)
+     * if there are any.
+     * @returns {Promise<{ resolution: string, mergeAnnotations: Object[]|null }>}
+     *          resolution is one of Constants.CONFLICT (except ASK); mergeAnnotations
+     *          holds the tablet annotations not yet in Zotero for MERGE
      */
     this._resolveConflict = async function(attachment, tabletPath, zoteroPath) {
-        const prompts = Services.prompt;
+        const policy = this._getConflictPolicy();
 
-        const flags = prompts.BUTTON_POS_0 * prompts.BUTTON_TITLE_IS_STRING +
-                      prompts.BUTTON_POS_1 * prompts.BUTTON_TITLE_CANCEL +
-                      prompts.BUTTON_POS_2 * prompts.BUTTON_TITLE_IS_STRING;
+        let mergeAnnotations = null;
+        if ((policy === C.CONFLICT.ASK || policy === C.CONFLICT.MERGE) &&
+            ZT.AnnotationExtractor.canMergeAnnotations(attachment)) {
+            try {
+                mergeAnnotations = await ZT.AnnotationExtractor.getAnnotationsToMerge(attachment, tabletPath);
+            } catch (e) {
+                Zotero.logError(e);
+            }
+        }
+        const mergeCount = mergeAnnotations ? mergeAnnotations.length : 0;
+
+        // With nothing to merge, merging would only discard the tablet file
+        let resolution = policy;
+        if (policy === C.CONFLICT.ASK || (policy === C.CONFLICT.MERGE && mergeCount === 0)) {
+            const note = mergeAnnotations && mergeCount === 0
+                ? 'The tablet file has no annotations that are not already in Zotero.\n\n'
+                : '';
+            resolution = this._askConflict(attachment, mergeCount, note);
+        }
 
-        const result = prompts.confirmEx(
+        return {
+            resolution,
+            mergeAnnotations: resolution === C.CONFLICT.MERGE ? mergeAnnotations : null
+        };
+    };
+
+    /**
+     * Ask which version of a conflicting file to keep
+     * @param {number} mergeCount - Tablet annotations that Merge would add; Merge
+     *                              is only offered if there are any
+     * @param {string} note - Text shown before the question
+     * @returns {string} One of Constants.CONFLICT (except ASK)
+     */
+    this._askConflict = function(attachment, mergeCount, note = '') {
+        const choices = [
+            { label: 'Use Tablet Version', resolution: C.CONFLICT.TABLET },
+            { label: 'Use Zotero Version', resolution: C.CONFLICT.ZOTERO },
+            { label: 'Keep Both (import tablet version as new attachment)', resolution: C.CONFLICT.KEEP_BOTH }
+        ];
+        if (mergeCount > 0) {
+            choices.unshift({
+                label: `Merge Annotations (keep Zotero file, add ${mergeCount} annotation(s) from tablet)`,
+                resolution: C.CONFLICT.MERGE
+            });
+        }
+        const selected = {};
+
+        const ok = Services.prompt.select(
             null,
             'File Conflict',
-            `Both the tablet file and Zotero file for "${attachment.attachmentFilename}" have been modified.\n\nWhich version do you want to keep?`,
-            flags,
-            'Use Tablet Version',
-            null,
-            'Use Zotero Version',
+            `Both the tablet file and Zotero file for "${attachment.attachmentFilename}" have been modified.\n\n${note}Which version do you want to keep?`,
+            choices.map(c => c.label),
+            selected
+        );
+
+        if (!ok) return C.CONFLICT.CANCEL;
+        return choices[selected.value].resolution;
+    };
+
+    /**
+     * Ask what to do with a linked file whose original folder can't be used
+     * @param {Object} target - From _getRetrieveTarget
+     * @returns {string|null} 'recreate' (create the missing folder), 'store'
+     *          (convert to a stored file) or null to leave the file on the tablet
+     */
+    this._resolveOriginProblem = function(attachment, target) {
+        const folder = target.path ? ZT.getParentDir(target.path) : '';
+        const reasons = {
+            missing: `The original folder of "${attachment.attachmentFilename}" no longer exists:\n${folder}`,
+            readonly: `The original folder of "${attachment.attachmentFilename}" is read-only:\n${folder}`,
+            unknown: `The original location of the linked file "${attachment.attachmentFilename}" was not recorded when it was sent.`
+        };
+
+        const choices = [];
+        if (target.problem === 'missing') {
+            choices.push({ label: 'Recreate the folder and move the file back', resolution: 'recreate' });
+        }
+        choices.push({ label: 'Convert to a stored file in Zotero storage', resolution: 'store' });
+        const selected = {};
+
+        const ok = Services.prompt.select(
             null,
-            {}
+            'Original Location Unavailable',
+            `${reasons[target.problem]}\n\nWhere should the file go? Cancel leaves it on the tablet.`,
+            choices.map(c => c.label),
+            selected
         );
 
-        // 0 = tablet, 1 = cancel, 2 = zotero
-        if (result === 0) return 'tablet';
-        if (result === 2) return 'zotero';
-        return 'cancel';
+        if (!ok) return null;
+        return choices[selected.value].resolution;
     };
 };
@@ -0,0 +1,234 @@
+/**
+ * ZotTablet - Tablet Store Module
+ * Plugin-owned storage of the tablet info of attachments
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * Records are kept in memory and mirrored to <data dir>/zottablet/tablet-info.json:
+ *     { version, records: { "<libraryID>_<key>": info } }
+ * version is the schema version; files written by older versions are upgraded
+ * on load. Earlier versions of the plugin stored the info in a
+ * <p id="zottablet-data"> element of the attachment note; these are moved into
+ * the store on startup and removed from the notes.
+ */
+
+Zotero.ZotTablet.TabletStoreModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    // Upgrade functions, keyed by the schema version they upgrade from
+    const UPGRADES = {};
+
+    this._records = {};
+    this._loaded = false;
+    // Set when the file was written by a newer schema or can't be read, so it isn't overwritten
+    this._readOnly = false;
+    // Serialises writes of the store file
+    this._writeQueue = Promise.resolve();
+
+    /**
+     * Initialize the store
+     */
+    this.init = async function() {
+        await this._load();
+        Zotero.debug('ZotTablet TabletStore: Initialized');
+    };
+
+    /**
+     * Shutdown the store
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet TabletStore: Shutdown');
+    };
+
+    /**
+     * Get the tablet info of an attachment
+     * @returns {Object|null} A copy of the stored info
+     */
+    this.get = function(attachment) {
+        const info = this._records[this._getKey(attachment)];
+        return info ? JSON.parse(JSON.stringify(info)) : null;
+    };
+
+    /**
+     * Store the tablet info of an attachment
+     */
+    this.set = function(attachment, info) {
+        this._records[this._getKey(attachment)] = JSON.parse(JSON.stringify(info));
+        this._save();
+    };
+
+    /**
+     * Remove the tablet info of an attachment
+     */
+    this.remove = function(attachment) {
+        const key = this._getKey(attachment);
+        if (!(key in this._records)) return;
+        delete this._records[key];
+        this._save();
+    };
+
+    /**
+     * Drop the records of deleted items
+     * @param {number[]} ids - Deleted item IDs
+     * @param {Object} extraData - Notifier data with libraryID and key of each item
+     */
+    this.onItemsDeleted = function(ids, extraData) {
+        let changed = false;
+        for (const id of ids) {
+            const data = extraData && extraData[id];
+            if (!data || !data.key) continue;
+
+            const key = `${data.libraryID}_${data.key}`;
+            if (key in this._records) {
+                delete this._records[key];
+                changed = true;
+            }
+        }
+        if (changed) this._save();
+    };
+
+    /**
+     * Move the tablet info of every attachment note into the store
+     * @returns {Promise<number>} Number of attachments migrated
+     */
+    this.migrateNotes = async function() {
+        let migrated = 0;
+
+        for (const library of Zotero.Libraries.getAll()) {
+            const search = new Zotero.Search();
+            search.libraryID = library.libraryID;
+            search.addCondition('itemType', 'is', 'attachment');
+            search.addCondition('note', 'contains', 'zottablet-data');
+
+            const attachments = Zotero.Items.get(await search.search());
+            for (const attachment of attachments) {
+                try {
+                    if (await this.importFromNote(attachment)) migrated++;
+                } catch (e) {
+                    Zotero.logError(e);
+                }
+            }
+        }
+
+        if (migrated > 0) {
+            Zotero.debug(`ZotTablet TabletStore: Moved tablet info of ${migrated} attachment(s) out of notes`);
+        }
+        return migrated;
+    };
+
+    /**
+     * Move the tablet info in an attachment's note into the store
+     * Info already in the store is kept; the note element is removed either way.
+     * @returns {Promise<boolean>} True if the note held tablet info
+     */
+    this.importFromNote = async function(attachment) {
+        const content = attachment.getNote() || '';
+        if (!content.includes('zottablet-data')) return false;
+
+        const doc = new DOMParser().parseFromString(content, 'text/html');
+        const dataEl = doc.querySelector('#zottablet-data');
+        if (!dataEl) return false;
+
+        const data = dataEl.getAttribute('data-zottablet');
+        if (data && !this.get(attachment)) {
+            try {
+                this.set(attachment, JSON.parse(data));
+            } catch (e) {
+                Zotero.debug(`ZotTablet TabletStore: Invalid tablet info in note of ${attachment.key}`);
+            }
+        }
+
+        // Notes in read-only libraries can't be cleaned up; they are read again on each startup
+        if (!Zotero.Libraries.get(attachment.libraryID).editable) return true;
+
+        dataEl.remove();
+        attachment.setNote(doc.body.innerHTML);
+        await attachment.saveTx();
+        return true;
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Get the record key of an attachment
+     */
+    this._getKey = function(attachment) {
+        return `${attachment.libraryID}_${attachment.key}`;
+    };
+
+    /**
+     * Get the store file path
+     */
+    this._getPath = function() {
+        return ZT.getDataDir(C.DATA_DIR.STORE);
+    };
+
+    /**
+     * Read records from the store file, upgrading older schemas
+     */
+    this._load = async function() {
+        if (this._loaded) return;
+        this._loaded = true;
+
+        const path = this._getPath();
+        if (!(await ZT.fileExists(path))) return;
+
+        let data;
+        try {
+            data = JSON.parse(await Zotero.File.getContentsAsync(path));
+        } catch (e) {
+            // Keep a copy and leave the file alone, so the sync state can be repaired by hand
+            Zotero.logError(e);
+            Zotero.logError(new Error(
+                `ZotTablet: Tablet store could not be read; copied to ${path}.bak, changes will not be saved`
+            ));
+            this._readOnly = true;
+            try {
+                await ZT.copyFile(path, `${path}.bak`, true);
+            } catch (copyError) {
+                Zotero.logError(copyError);
+            }
+            return;
+        }
+
+        const fileVersion = data.version || 0;
+        let version = fileVersion;
+        if (fileVersion > C.STORE_VERSION) {
+            Zotero.logError(new Error(
+                `ZotTablet: Tablet store was written by a newer version (schema ${fileVersion}); changes will not be saved`
+            ));
+            this._readOnly = true;
+        }
+        while (version < C.STORE_VERSION && UPGRADES[version]) {
+            data = UPGRADES[version](data);
+            version++;
+        }
+
+        this._records = (data && data.records) || {};
+        if (!this._readOnly && fileVersion !== C.STORE_VERSION) {
+            await this._save();
+        }
+    };
+
+    /**
+     * Write records to the store file, through a temporary file so a crash
+     * mid-write can't corrupt it
+     */
+    this._save = function() {
+        if (this._readOnly) return this._writeQueue;
+
+        const json = JSON.stringify({ version: C.STORE_VERSION, records: this._records });
+        this._writeQueue = this._writeQueue.then(async () => {
+            const path = this._getPath();
+            await ZT.ensureDirectory(ZT.getParentDir(path));
+            const tmpPath = `${path}.tmp`;
+            if (IOUtils && IOUtils.writeUTF8) {
+                await IOUtils.writeUTF8(path, json, { tmpPath });
+            } else {
+                await OS.File.writeAtomic(path, json, { encoding: 'utf-8', tmpPath });
+            }
+        }).catch(e => Zotero.logError(e));
+        return this._writeQueue;
+    };
+};
@@ -0,0 +1,158 @@
+/**
+ * ZotTablet - Tablet Watcher Module
+ * Periodically rescans tablet files in the background and keeps the
+ * on-tablet/modified tags current without user interaction
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ */
+
+Zotero.ZotTablet.TabletWatcherModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    // Internal state
+    this._timer = null;
+    this._prefObservers = [];
+    this._checking = false;
+    this._busyDelay = 0;
+    // Incremented on every stop so checks started earlier don't reschedule
+    this._generation = 0;
+
+    /**
+     * Initialize the watcher and start it if enabled
+     */
+    this.init = async function() {
+        for (const key of [C.PREF_KEYS.AUTO_CHECK, C.PREF_KEYS.AUTO_CHECK_INTERVAL]) {
+            this._prefObservers.push(
+                Zotero.Prefs.registerObserver(C.PREF_NAMESPACE + key, () => this.restart(), true)
+            );
+        }
+
+        this.restart();
+        Zotero.debug('ZotTablet TabletWatcher: Initialized');
+    };
+
+    /**
+     * Shutdown the watcher
+     */
+    this.shutdown = function() {
+        for (const id of this._prefObservers) {
+            Zotero.Prefs.unregisterObserver(id);
+        }
+        this._prefObservers = [];
+
+        this.stop();
+        Zotero.debug('ZotTablet TabletWatcher: Shutdown');
+    };
+
+    /**
+     * Check if background checking is enabled in preferences
+     */
+    this.isEnabled = function() {
+        return !!ZT.getPref(C.PREF_KEYS.AUTO_CHECK);
+    };
+
+    /**
+     * Get the check interval in milliseconds
+     */
+    this.getInterval = function() {
+        const minutes = parseInt(ZT.getPref(C.PREF_KEYS.AUTO_CHECK_INTERVAL)) ||
+                        C.PREF_DEFAULTS.autoCheckInterval;
+        return Math.max(minutes, C.LIMITS.AUTO_CHECK_MIN_INTERVAL) * 60 * 1000;
+    };
+
+    /**
+     * Stop any pending check and start again with current preferences
+     */
+    this.restart = function() {
+        this.stop();
+        if (this.isEnabled()) {
+            this._schedule(this.getInterval());
+            Zotero.debug(`ZotTablet TabletWatcher: Checking every ${this.getInterval() / 60000} minute(s)`);
+        }
+    };
+
+    /**
+     * Cancel the pending check
+     */
+    this.stop = function() {
+        if (this._timer) {
+            this._timer.cancel();
+            this._timer = null;
+        }
+        this._busyDelay = 0;
+        this._generation++;
+    };
+
+    /**
+     * Rescan all tablet attachments and update their tags
+     */
+    this.checkNow = async function() {
+        if (this._checking) return;
+        this._checking = true;
+
+        try {
+            const attachments = await ZT.SyncManager.getAttachmentsOnTablet();
+            if (attachments.length > 0) {
+                const count = await ZT.SyncManager.checkModifications(attachments, { silent: true });
+                Zotero.debug(`ZotTablet TabletWatcher: Checked ${attachments.length} file(s), ${count} newly modified`);
+            }
+        } catch (e) {
+            Zotero.logError(e);
+        } finally {
+            this._checking = false;
+        }
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Schedule the next check
+     */
+    this._schedule = function(delay) {
+        if (this._timer) {
+            this._timer.cancel();
+        }
+        this._timer = Cc['@mozilla.org/timer;1'].createInstance(Ci.nsITimer);
+        this._timer.initWithCallback(
+            { notify: () => this._onTimer() },
+            delay,
+            Ci.nsITimer.TYPE_ONE_SHOT
+        );
+    };
+
+    /**
+     * Timer callback: run a check, or back off while Zotero is busy
+     */
+    this._onTimer = async function() {
+        this._timer = null;
+        const generation = this._generation;
+
+        if (this._isZoteroBusy()) {
+            this._busyDelay = Math.min(
+                this._busyDelay ? this._busyDelay * 2 : C.LIMITS.AUTO_CHECK_BUSY_DELAY,
+                C.LIMITS.AUTO_CHECK_MAX_BUSY_DELAY
+            );
+            Zotero.debug(`ZotTablet TabletWatcher: Zotero busy, retrying in ${this._busyDelay / 1000}s`);
+            this._schedule(this._busyDelay);
+            return;
+        }
+
+        this._busyDelay = 0;
+        await this.checkNow();
+
+        // Stopped or restarted while the check was running
+        if (generation !== this._generation || !this.isEnabled()) return;
+
+        this._schedule(this.getInterval());
+    };
+
+    /**
+     * Check if Zotero or ZotTablet is doing work the scan should not compete with
+     */
+    this._isZoteroBusy = function() {
+        if (Zotero.DB.inTransaction()) return true;
+        if (Zotero.Sync && Zotero.Sync.Runner && Zotero.Sync.Runner.syncInProgress) return true;
+        return ZT.SyncManager.isBusy();
+    };
+};
@@ -0,0 +1,337 @@
+/**
+ * ZotTablet - Templates Module
+ * Template language shared by tablet filenames and subfolders
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * Syntax:
+ *     %a            wildcard by letter (see WILDCARDS)
+ *     %{name|f|f}   wildcard or Zotero field by name, with filters applied in order:
+ *                   upper, lower, title (capitalise words), initial (first letter),
+ *                   or a number to truncate to that many characters
+ *     {...}         optional segment, left out if a wildcard in it is empty
+ *     %%            a literal percent sign
+ * Empty wildcards outside optional segments are replaced with a fallback
+ * ("Unknown", "NoYear", ...) where one is defined.
+ */
+
+Zotero.ZotTablet.TemplatesModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    // Single-letter wildcards (ZotFile's letters where it had one)
+    const WILDCARDS = {
+        a: { name: 'authors' },
+        A: { name: 'authors', filters: ['initial'] },
+        d: { name: 'editors' },
+        D: { name: 'editors', filters: ['initial'] },
+        y: { name: 'year' },
+        t: { name: 'title' },
+        h: { name: 'shortTitle' },
+        j: { name: 'journal' },
+        s: { name: 'journalAbbr' },
+        p: { name: 'publisher' },
+        w: { name: 'journalOrPublisher' },
+        v: { name: 'volume' },
+        e: { name: 'issue' },
+        f: { name: 'pages' },
+        T: { name: 'itemType' },
+        b: { name: 'citekey' },
+        c: { name: 'collection' }
+    };
+
+    // Used for empty wildcards outside optional segments
+    const FALLBACKS = {
+        authors: 'Unknown',
+        editors: 'Unknown',
+        year: 'NoYear',
+        title: 'Untitled',
+        journal: 'NoJournal',
+        collection: 'Unfiled'
+    };
+
+    // Wildcards computed from several fields; other names are Zotero fields
+    const COMPUTED = ['authors', 'editors', 'year', 'journal', 'journalAbbr',
+        'journalOrPublisher', 'itemType', 'citekey', 'collection'];
+
+    const FILTERS = ['upper', 'lower', 'title', 'initial'];
+
+    // Characters that can't appear in a file or folder name; path separators
+    // in values become dashes ("and/or" stays readable)
+    const INVALID_CHARS = /[?*:|"<>\x00-\x1f]/g;
+    const SEPARATORS = /[\/\\]/g;
+
+    /**
+     * Initialize the templates module
+     */
+    this.init = async function() {
+        Zotero.debug('ZotTablet Templates: Initialized');
+    };
+
+    /**
+     * Shutdown the templates module
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet Templates: Shutdown');
+    };
+
+    /**
+     * Expand a template for an item
+     * Expanded values never contain path separators, except the collection
+     * path, whose folder names are already valid.
+     * @param {string} template
+     * @param {Zotero.Item} item - Regular item
+     * @param {Object} context - { collectionPath }
+     * @returns {string}
+     * @throws {Error} If the template is malformed (see validate)
+     */
+    this.render = function(template, item, context = {}) {
+        return this._renderNodes(this._parse(template), item, context, false);
+    };
+
+    /**
+     * Check if a template uses a wildcard
+     * @param {string} name - Wildcard name, e.g. 'collection'
+     */
+    this.uses = function(template, name) {
+        const visit = nodes => nodes.some(node =>
+            node.type === 'optional' ? visit(node.children) : node.type === 'wildcard' && node.name === name
+        );
+        try {
+            return visit(this._parse(template || ''));
+        } catch (e) {
+            return false;
+        }
+    };
+
+    /**
+     * Check a template for syntax errors and unknown wildcards or filters
+     * @returns {string|null} Error message, or null if the template is valid
+     */
+    this.validate = function(template) {
+        try {
+            this._parse(template || '');
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Parse a template into nodes: { type: 'text', text },
+     * { type: 'wildcard', name, filters } and { type: 'optional', children }
+     */
+    this._parse = function(template) {
+        const root = [];
+        const stack = [root];
+        let text = '';
+
+        const flush = () => {
+            if (text) stack[stack.length - 1].push({ type: 'text', text });
+            text = '';
+        };
+
+        for (let i = 0; i < template.length; i++) {
+            const ch = template[i];
+
+            if (ch === '%') {
+                const next = template[i + 1];
+                if (next === '%') {
+                    text += '%';
+                    i++;
+                } else if (next === '{') {
+                    const end = template.indexOf('}', i + 2);
+                    if (end === -1) {
+                        throw new Error(`Unclosed %{ at position ${i + 1}`);
+                    }
+                    const [name, ...filters] = template.substring(i + 2, end).split('|').map(s => s.trim());
+                    if (!name) {
+                        throw new Error(`Empty wildcard at position ${i + 1}`);
+                    }
+                    if (!COMPUTED.includes(name) && !Zotero.ItemFields.getID(name)) {
+                        throw new Error(`Unknown wildcard "${name}"`);
+                    }
+                    const unknown = filters.find(f => !FILTERS.includes(f) && !/^\d+$/.test(f));
+                    if (unknown !== undefined) {
+                        throw new Error(`Unknown filter "${unknown}" for ${name}`);
+                    }
+                    flush();
+                    stack[stack.length - 1].push({ type: 'wildcard', name, filters });
+                    i = end;
+                } else if (next && WILDCARDS[next]) {
+                    flush();
+                    const { name, filters } = WILDCARDS[next];
+                    stack[stack.length - 1].push({ type: 'wildcard', name, filters: filters || [] });
+                    i++;
+                } else {
+                    text += ch;
+                }
+            } else if (ch === '{') {
+                flush();
+                const node = { type: 'optional', children: [] };
+                stack[stack.length - 1].push(node);
+                stack.push(node.children);
+            } else if (ch === '}') {
+                if (stack.length === 1) {
+                    throw new Error(`Unexpected } at position ${i + 1}`);
+                }
+                flush();
+                stack.pop();
+            } else {
+                text += ch;
+            }
+        }
+
+        if (stack.length > 1) {
+            throw new Error('Unclosed { in template');
+        }
+        flush();
+        return root;
+    };
+
+    /**
+     * Expand parsed nodes
+     * @param {boolean} optional - Inside an optional segment
+     * @returns {string|null} null if an optional segment has an empty wildcard
+     */
+    this._renderNodes = function(nodes, item, context, optional) {
+        let result = '';
+
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                result += node.text;
+            } else if (node.type === 'optional') {
+                const segment = this._renderNodes(node.children, item, context, true);
+                if (segment !== null) result += segment;
+            } else {
+                let value = this._applyFilters(this._getValue(node.name, item, context), node.filters);
+                if (!value) {
+                    if (optional) return null;
+                    value = FALLBACKS[node.name] || '';
+                }
+                result += value;
+            }
+        }
+
+        return result;
+    };
+
+    /**
+     * Get the value of a wildcard, made safe for a file name
+     */
+    this._getValue = function(name, item, context) {
+        let value;
+        switch (name) {
+            case 'authors': {
+                const primaryID = Zotero.CreatorTypes.getPrimaryIDForType(item.itemTypeID);
+                const creators = item.getCreators();
+                const primary = creators.filter(c => c.creatorTypeID === primaryID);
+                value = this._formatCreators(primary.length > 0 ? primary : creators);
+                break;
+            }
+            case 'editors': {
+                const editorID = Zotero.CreatorTypes.getID('editor');
+                value = this._formatCreators(item.getCreators().filter(c => c.creatorTypeID === editorID));
+                break;
+            }
+            case 'year':
+                value = String(Zotero.Date.strToDate(item.getField('date')).year || '');
+                break;
+            case 'journal':
+                value = item.getField('publicationTitle');
+                break;
+            case 'journalAbbr':
+                value = item.getField('journalAbbreviation');
+                break;
+            case 'journalOrPublisher':
+                value = item.getField('publicationTitle') || item.getField('publisher');
+                break;
+            case 'itemType':
+                value = Zotero.ItemTypes.getLocalizedString(item.itemType);
+                break;
+            case 'citekey':
+                value = this._getCitationKey(item);
+                break;
+            case 'collection':
+                // Folder names in the path are already sanitised
+                return context.collectionPath || '';
+            default:
+                value = item.getField(name, false, true);
+        }
+
+        return String(value || '')
+            .replace(SEPARATORS, '-')
+            .replace(INVALID_CHARS, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    };
+
+    /**
+     * Join creator last names, shortening long lists with "et al."
+     */
+    this._formatCreators = function(creators) {
+        const max = parseInt(ZT.getPref(C.PREF_KEYS.AUTHORS_MAX)) || C.PREF_DEFAULTS.authorsMax;
+        const truncate = parseInt(ZT.getPref(C.PREF_KEYS.AUTHORS_TRUNCATE)) || C.PREF_DEFAULTS.authorsTruncate;
+        const etAl = ZT.getPref(C.PREF_KEYS.AUTHORS_ET_AL) || '';
+        const delimiter = ZT.getPref(C.PREF_KEYS.AUTHORS_DELIMITER) || '';
+
+        const names = creators.map(c => c.lastName || c.firstName || '').filter(Boolean);
+        if (names.length > max) {
+            return names.slice(0, truncate).join(delimiter) + etAl;
+        }
+        return names.join(delimiter);
+    };
+
+    /**
+     * Get an item's citation key from Better BibTeX, the Citation Key field
+     * or a "Citation Key:" line in Extra
+     */
+    this._getCitationKey = function(item) {
+        try {
+            const bbt = Zotero.BetterBibTeX;
+            if (bbt && bbt.KeyManager) {
+                const key = bbt.KeyManager.get(item.id);
+                if (key && key.citationKey) return key.citationKey;
+            }
+        } catch (e) {
+            Zotero.debug(`ZotTablet: Could not get Better BibTeX key: ${e.message}`);
+        }
+
+        if (Zotero.ItemFields.getID('citationKey')) {
+            const key = item.getField('citationKey');
+            if (key) return key;
+        }
+
+        const match = (item.getField('extra') || '').match(/^\s*Citation Key:\s*(\S+)/im);
+        return match ? match[1] : '';
+    };
+
+    /**
+     * Apply the filters of a wildcard to its value
+     */
+    this._applyFilters = function(value, filters) {
+        for (const filter of filters) {
+            if (/^\d+$/.test(filter)) {
+                value = value.substring(0, parseInt(filter)).trim();
+                continue;
+            }
+            switch (filter) {
+                case 'upper':
+                    value = value.toUpperCase();
+                    break;
+                case 'lower':
+                    value = value.toLowerCase();
+                    break;
+                case 'title':
+                    value = value.replace(/(^|\s)(\S)/g, (m, space, ch) => space + ch.toUpperCase());
+                    break;
+                case 'initial':
+                    value = value.charAt(0).toUpperCase();
+                    break;
+            }
+        }
+        return value;
+    };
+};
@@ -0,0 +1,129 @@
+/**
+ * ZotTablet - Transforms Module
+ * Runs local command-line tools on files before they are sent to the tablet
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * Transforms are configured as an ordered JSON array in the transforms pref:
+ *     [{ name, command, args, types, geometry, enabled }]
+ * command is the full path of an executable; args is a string in which
+ * {input} and {output} are replaced by the file paths of each step. types is
+ * a comma-separated list of content type keys the transform applies to.
+ * geometry marks transforms that change the page geometry (cropping,
+ * resizing): annotations made on their output would land in the wrong place
+ * on the original, so such copies come back as new attachments instead.
+ * Each step writes to a temporary file in <data dir>/zottablet/transform/, so
+ * the Zotero file is only ever read.
+ */
+
+Zotero.ZotTablet.TransformsModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    /**
+     * Initialize the transforms module
+     */
+    this.init = async function() {
+        // Temporary files of transforms interrupted by a crash
+        await ZT.removeDirectory(ZT.getDataDir(C.DATA_DIR.TRANSFORM));
+        Zotero.debug('ZotTablet Transforms: Initialized');
+    };
+
+    /**
+     * Shutdown the transforms module
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet Transforms: Shutdown');
+    };
+
+    /**
+     * Get all configured transforms, in order
+     * @returns {Object[]} { name, command, args, types: string[], changesGeometry, enabled }
+     */
+    this.getTransforms = function() {
+        let raw = [];
+        try {
+            const parsed = JSON.parse(ZT.getPref(C.PREF_KEYS.TRANSFORMS) || '[]');
+            if (Array.isArray(parsed)) raw = parsed;
+        } catch (e) {
+            Zotero.debug('ZotTablet: Invalid transforms JSON');
+        }
+
+        return raw
+            .filter(t => t && t.command)
+            .map(t => ({
+                name: t.name || ZT.getFilename(t.command),
+                command: t.command,
+                args: t.args || '',
+                types: (t.types || 'pdf').split(',').map(type => type.trim()).filter(Boolean),
+                changesGeometry: !!t.geometry,
+                enabled: t.enabled !== false
+            }));
+    };
+
+    /**
+     * Get the enabled transforms that apply to an attachment
+     */
+    this.getTransformsFor = function(attachment) {
+        const type = ZT.getContentType(attachment);
+        return this.getTransforms().filter(t => t.enabled && t.types.includes(type));
+    };
+
+    /**
+     * Run transforms on a file, chaining the output of each into the next
+     * @param {string} sourcePath - File to transform (not modified)
+     * @param {Object[]} transforms - From getTransformsFor
+     * @returns {Promise<{ path: string, cleanup: Function }>} Transformed file and a
+     *          function removing the temporary files once it has been copied
+     */
+    this.run = async function(sourcePath, transforms) {
+        const workDir = ZT.getDataDir(C.DATA_DIR.TRANSFORM, Zotero.Utilities.randomString());
+        await ZT.ensureDirectory(workDir);
+        const cleanup = () => ZT.removeDirectory(workDir);
+
+        const ext = ZT.getFileExtension(sourcePath);
+        let input = sourcePath;
+
+        try {
+            for (let i = 0; i < transforms.length; i++) {
+                const transform = transforms[i];
+                const output = ZT.joinPath(workDir, `step${i + 1}` + (ext ? '.' + ext : ''));
+                const args = this._parseArgs(transform.args).map(arg =>
+                    arg.replace(/\{input\}/g, input).replace(/\{output\}/g, output)
+                );
+
+                Zotero.debug(`ZotTablet: Running transform "${transform.name}": ${transform.command} ${args.join(' ')}`);
+                try {
+                    await Zotero.Utilities.Internal.exec(transform.command, args);
+                } catch (e) {
+                    throw new Error(`Transform "${transform.name}" failed: ${e.message || e}`);
+                }
+
+                if (!(await ZT.fileExists(output))) {
+                    throw new Error(`Transform "${transform.name}" did not write ${output}`);
+                }
+                input = output;
+            }
+        } catch (e) {
+            await cleanup();
+            throw e;
+        }
+
+        return { path: input, cleanup };
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Split an argument string on whitespace, keeping quoted parts together
+     */
+    this._parseArgs = function(args) {
+        const parts = [];
+        const re = /"([^"]*)"|'([^']*)'|(\S+)/g;
+        let match;
+        while ((match = re.exec(args)) !== null) {
+            parts.push(match[1] !== undefined ? match[1] : (match[2] !== undefined ? match[2] : match[3]));
+        }
+        return parts;
+    };
+};
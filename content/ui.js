@@ -88,8 +88,8 @@ Zotero.ZotTablet.UIModule = new function() {
     /**
      * Send to tablet (called from bootstrap.js MenuManager)
      */
-    this.onSendToTablet = async function(projectFolder = '') {
-        await this._onSendToTablet(projectFolder);
+    this.onSendToTablet = async function(projectFolder = '', profileID = null) {
+        await this._onSendToTablet(projectFolder, profileID);
     };
 
     /**
@@ -99,6 +99,20 @@ Zotero.ZotTablet.UIModule = new function() {
         await this._onGetFromTablet();
     };
 
+    /**
+     * Preview send to tablet (called from bootstrap.js MenuManager)
+     */
+    this.onPreviewSend = async function(projectFolder = '', profileID = null) {
+        await this._onPreviewSend(projectFolder, profileID);
+    };
+
+    /**
+     * Preview get from tablet (called from bootstrap.js MenuManager)
+     */
+    this.onPreviewGet = async function() {
+        await this._onPreviewGet();
+    };
+
     /**
      * Check modifications (called from bootstrap.js MenuManager)
      */
@@ -106,6 +120,13 @@ Zotero.ZotTablet.UIModule = new function() {
         await this._onCheckModifications();
     };
 
+    /**
+     * Restore previous version (called from bootstrap.js MenuManager)
+     */
+    this.onRestoreVersion = async function() {
+        await this._onRestoreVersion();
+    };
+
     /**
      * Extract annotations (called from bootstrap.js MenuManager)
      */
@@ -167,6 +188,21 @@ Zotero.ZotTablet.UIModule = new function() {
         sendItem.addEventListener('command', () => this._onSendToTablet());
         menuPopup.appendChild(sendItem);
 
+        // Send to (Profile Submenu, shown when profiles are configured)
+        const sendProfileMenu = doc.createXULElement('menu');
+        sendProfileMenu.id = 'zottablet-send-profile';
+        sendProfileMenu.setAttribute('label', 'Send to');
+        menuPopup.appendChild(sendProfileMenu);
+
+        const sendProfilePopup = doc.createXULElement('menupopup');
+        sendProfilePopup.id = 'zottablet-send-profile-popup';
+        sendProfileMenu.appendChild(sendProfilePopup);
+
+        // Populate profiles on popup show
+        sendProfilePopup.addEventListener('popupshowing', () => {
+            this._populateProfiles(sendProfilePopup, doc);
+        });
+
         // Send to Tablet (Project Submenu)
         const sendProjectMenu = doc.createXULElement('menu');
         sendProjectMenu.id = 'zottablet-send-project';
@@ -189,6 +225,19 @@ Zotero.ZotTablet.UIModule = new function() {
         getItem.addEventListener('command', () => this._onGetFromTablet());
         menuPopup.appendChild(getItem);
 
+        // Preview Send / Get
+        const previewSendItem = doc.createXULElement('menuitem');
+        previewSendItem.id = 'zottablet-preview-send';
+        previewSendItem.setAttribute('label', 'Preview Send to Tablet...');
+        previewSendItem.addEventListener('command', () => this._onPreviewSend());
+        menuPopup.appendChild(previewSendItem);
+
+        const previewGetItem = doc.createXULElement('menuitem');
+        previewGetItem.id = 'zottablet-preview-get';
+        previewGetItem.setAttribute('label', 'Preview Get from Tablet...');
+        previewGetItem.addEventListener('command', () => this._onPreviewGet());
+        menuPopup.appendChild(previewGetItem);
+
         // Check Modifications
         const checkItem = doc.createXULElement('menuitem');
         checkItem.id = 'zottablet-check';
@@ -196,6 +245,13 @@ Zotero.ZotTablet.UIModule = new function() {
         checkItem.addEventListener('command', () => this._onCheckModifications());
         menuPopup.appendChild(checkItem);
 
+        // Restore Previous Version
+        const restoreItem = doc.createXULElement('menuitem');
+        restoreItem.id = 'zottablet-restore-version';
+        restoreItem.setAttribute('label', 'Restore Previous Version...');
+        restoreItem.addEventListener('command', () => this._onRestoreVersion());
+        menuPopup.appendChild(restoreItem);
+
         menuPopup.appendChild(doc.createXULElement('menuseparator'));
 
         // --- Annotation Items ---
@@ -243,6 +299,15 @@ Zotero.ZotTablet.UIModule = new function() {
         const menuPopup = doc.createXULElement('menupopup');
         menu.appendChild(menuPopup);
 
+        // Undo Last Operation
+        const undoItem = doc.createXULElement('menuitem');
+        undoItem.id = 'zottablet-undo';
+        undoItem.setAttribute('label', 'Undo Last Operation');
+        undoItem.addEventListener('command', () => this._onUndoLastOperation());
+        menuPopup.appendChild(undoItem);
+
+        menuPopup.appendChild(doc.createXULElement('menuseparator'));
+
         // Sync All Modified
         const syncAllItem = doc.createXULElement('menuitem');
         syncAllItem.setAttribute('label', 'Sync All Modified Files');
@@ -255,6 +320,12 @@ Zotero.ZotTablet.UIModule = new function() {
         checkAllItem.addEventListener('command', () => this._onCheckAllModifications());
         menuPopup.appendChild(checkAllItem);
 
+        // Scan for Untracked Files
+        const scanOrphansItem = doc.createXULElement('menuitem');
+        scanOrphansItem.setAttribute('label', 'Scan for Untracked Files...');
+        scanOrphansItem.addEventListener('command', () => this._onScanOrphans());
+        menuPopup.appendChild(scanOrphansItem);
+
         menuPopup.appendChild(doc.createXULElement('menuseparator'));
 
         // Open Tablet Folder
@@ -269,6 +340,12 @@ Zotero.ZotTablet.UIModule = new function() {
         createSearchesItem.addEventListener('command', () => this._onCreateSavedSearches());
         menuPopup.appendChild(createSearchesItem);
 
+        // Migrate from ZotFile
+        const migrateItem = doc.createXULElement('menuitem');
+        migrateItem.setAttribute('label', 'Migrate from ZotFile...');
+        migrateItem.addEventListener('command', () => this._onMigrateZotFile());
+        menuPopup.appendChild(migrateItem);
+
         menuPopup.appendChild(doc.createXULElement('menuseparator'));
 
         // Preferences
@@ -276,6 +353,15 @@ Zotero.ZotTablet.UIModule = new function() {
         prefsItem.setAttribute('label', 'ZotTablet Preferences...');
         prefsItem.addEventListener('command', () => this._onOpenPreferences());
         menuPopup.appendChild(prefsItem);
+
+        // Update undo item when shown
+        menuPopup.addEventListener('popupshowing', () => {
+            const last = ZT.UndoManager.getLastOperation();
+            undoItem.disabled = !last;
+            undoItem.setAttribute('label', last
+                ? `Undo Last Operation (${this._describeOperation(last)})`
+                : 'Undo Last Operation');
+        });
     };
 
     /**
@@ -321,6 +407,81 @@ Zotero.ZotTablet.UIModule = new function() {
             });
             popup.appendChild(item);
         }
+
+        this._appendPreviewMenu(popup, doc, folders.map(folder => ({
+            label: folder.label || folder.path,
+            projectFolder: folder.path,
+            profileID: null
+        })));
+    };
+
+    /**
+     * Populate the Send to submenu with profiles
+     */
+    this._populateProfiles = function(popup, doc) {
+        while (popup.firstChild) {
+            popup.removeChild(popup.firstChild);
+        }
+
+        const profiles = ZT.Profiles.getProfiles();
+        for (const profile of profiles) {
+            const item = doc.createXULElement('menuitem');
+            item.setAttribute('label', profile.name);
+            item.addEventListener('command', () => {
+                this._onSendToTablet('', profile.id);
+            });
+            popup.appendChild(item);
+        }
+
+        this._appendPreviewMenu(popup, doc, profiles.map(profile => ({
+            label: profile.name,
+            projectFolder: '',
+            profileID: profile.id
+        })));
+    };
+
+    /**
+     * Add a Preview submenu to a send submenu, with one entry per send target
+     * @param {Object[]} targets - { label, projectFolder, profileID }
+     */
+    this._appendPreviewMenu = function(popup, doc, targets) {
+        popup.appendChild(doc.createXULElement('menuseparator'));
+
+        const previewMenu = doc.createXULElement('menu');
+        previewMenu.setAttribute('label', 'Preview');
+        popup.appendChild(previewMenu);
+
+        const previewPopup = doc.createXULElement('menupopup');
+        previewMenu.appendChild(previewPopup);
+
+        for (const target of targets) {
+            const item = doc.createXULElement('menuitem');
+            item.setAttribute('label', `${target.label}...`);
+            item.addEventListener('command', () => {
+                this._onPreviewSend(target.projectFolder, target.profileID);
+            });
+            previewPopup.appendChild(item);
+        }
+    };
+
+    /**
+     * Let the user pick a profile when more than one is configured
+     * @returns {Object|null} Chosen profile, the default profile if there is
+     *          only one, or null if cancelled
+     */
+    this._chooseProfile = function(title) {
+        const profiles = ZT.Profiles.getProfiles();
+        if (profiles.length === 1) return profiles[0];
+
+        const selected = {};
+        const ok = Services.prompt.select(
+            null,
+            title,
+            'Select the profile:',
+            profiles.map(p => `${p.name} (${p.destDir || 'no folder set'})`),
+            selected
+        );
+        return ok ? profiles[selected.value] : null;
     };
 
     /**
@@ -339,13 +500,24 @@ Zotero.ZotTablet.UIModule = new function() {
 
         // Update menu items
         const getItem = doc.getElementById('zottablet-get');
+        const previewGetItem = doc.getElementById('zottablet-preview-get');
         const checkItem = doc.getElementById('zottablet-check');
         const addReadingItem = doc.getElementById('zottablet-add-reading');
         const removeReadingItem = doc.getElementById('zottablet-remove-reading');
+        const restoreItem = doc.getElementById('zottablet-restore-version');
+        const sendProfileMenu = doc.getElementById('zottablet-send-profile');
+        const extractItem = doc.getElementById('zottablet-extract');
+        const extractNoteItem = doc.getElementById('zottablet-extract-note');
+
+        // Annotation extraction is only offered for types PDFWorker can read
+        const anyAnnotatable = attachments.some(att => ZT.AnnotationExtractor.supportsAnnotations(att));
 
         if (getItem) {
             getItem.disabled = !anyOnTablet;
         }
+        if (previewGetItem) {
+            previewGetItem.disabled = !anyOnTablet;
+        }
         if (checkItem) {
             checkItem.disabled = !anyOnTablet;
         }
@@ -355,6 +527,19 @@ Zotero.ZotTablet.UIModule = new function() {
         if (removeReadingItem) {
             removeReadingItem.disabled = !anyInReading;
         }
+        if (restoreItem) {
+            restoreItem.disabled = attachments.length !== 1;
+        }
+        if (extractItem) {
+            extractItem.disabled = !anyAnnotatable;
+        }
+        if (extractNoteItem) {
+            extractNoteItem.disabled = !anyAnnotatable;
+        }
+        if (sendProfileMenu) {
+            sendProfileMenu.hidden = !ZT.Profiles.hasMultiple();
+            sendProfileMenu.disabled = !anyNotOnTablet;
+        }
     };
 
     // ==================== Menu Actions ====================
@@ -379,8 +564,10 @@ Zotero.ZotTablet.UIModule = new function() {
 
     /**
      * Send selected attachments to tablet
+     * @param {string} projectFolder - Optional project subfolder
+     * @param {string} profileID - Profile to send with (default profile if omitted)
      */
-    this._onSendToTablet = async function(projectFolder = '') {
+    this._onSendToTablet = async function(projectFolder = '', profileID = null) {
         const attachments = ZT.getSelectedAttachments();
         const { valid, invalid } = ZT.SyncManager.validateForSend(attachments);
 
@@ -389,6 +576,8 @@ Zotero.ZotTablet.UIModule = new function() {
             ZT.showInfo('ZotTablet', reason);
             return;
         }
+        // Explain read-only skips, which are easy to miss when other files were sent
+        this._skipReadOnly(invalid.map(i => i.item));
 
         if (ZT.SyncManager.needsBatchConfirmation(valid.length)) {
             if (!Services.prompt.confirm(null, 'ZotTablet', `Send ${valid.length} file(s) to tablet?`)) {
@@ -396,7 +585,10 @@ Zotero.ZotTablet.UIModule = new function() {
             }
         }
 
-        await ZT.SyncManager.sendToTablet(valid, projectFolder);
+        await ZT.SyncManager.sendToTablet(valid, projectFolder, {
+            profile: profileID,
+            collection: ZT.getSelectedCollectionID()
+        });
     };
 
     /**
@@ -411,6 +603,8 @@ Zotero.ZotTablet.UIModule = new function() {
             ZT.showInfo('ZotTablet', reason);
             return;
         }
+        // Explain read-only skips, which are easy to miss when other files were sent
+        this._skipReadOnly(invalid.map(i => i.item));
 
         if (ZT.SyncManager.needsBatchConfirmation(valid.length)) {
             if (!Services.prompt.confirm(null, 'ZotTablet', `Get ${valid.length} file(s) from tablet?`)) {
@@ -421,11 +615,70 @@ Zotero.ZotTablet.UIModule = new function() {
         await ZT.SyncManager.getFromTablet(valid);
     };
 
+    /**
+     * Show what sending the selected attachments would do, then optionally do it
+     */
+    this._onPreviewSend = async function(projectFolder = '', profileID = null) {
+        const attachments = ZT.getSelectedAttachments();
+        if (attachments.length === 0) {
+            ZT.showInfo('ZotTablet', 'No attachments selected');
+            return;
+        }
+
+        const plan = await ZT.SyncManager.planSend(attachments, projectFolder, profileID, ZT.getSelectedCollectionID());
+        if (this._showPlan(plan)) {
+            await ZT.SyncManager.executePlan(plan);
+        }
+    };
+
+    /**
+     * Show what getting the selected attachments would do, then optionally do it
+     */
+    this._onPreviewGet = async function() {
+        const attachments = ZT.getSelectedAttachments();
+        if (attachments.length === 0) {
+            ZT.showInfo('ZotTablet', 'No attachments selected');
+            return;
+        }
+
+        const plan = await ZT.SyncManager.planGet(attachments);
+        if (this._showPlan(plan)) {
+            await ZT.SyncManager.executePlan(plan);
+        }
+    };
+
+    /**
+     * Drop items in read-only libraries, telling the user which were skipped
+     * @returns {Zotero.Item[]} Items that can be changed
+     */
+    this._skipReadOnly = function(items) {
+        const { editable, readOnly } = ZT.filterEditable(items);
+        if (readOnly.length > 0) {
+            ZT.showInfo('ZotTablet', ZT.describeSkipped(readOnly));
+        }
+        return editable;
+    };
+
+    /**
+     * Open the preview dialog for a plan
+     * @returns {boolean} True if the user chose to execute the plan
+     */
+    this._showPlan = function(plan) {
+        const io = { plan, accepted: false };
+        Zotero.getMainWindow().openDialog(
+            'chrome://zottablet/content/preview.xhtml',
+            'zottablet-preview',
+            'chrome,modal,centerscreen,resizable',
+            io
+        );
+        return io.accepted;
+    };
+
     /**
      * Check modifications for selected attachments
      */
     this._onCheckModifications = async function() {
-        const attachments = ZT.getSelectedAttachments()
+        const attachments = this._skipReadOnly(ZT.getSelectedAttachments())
             .filter(att => ZT.SyncManager.isOnTablet(att));
 
         if (attachments.length === 0) {
@@ -436,12 +689,52 @@ Zotero.ZotTablet.UIModule = new function() {
         await ZT.SyncManager.checkModifications(attachments);
     };
 
+    /**
+     * List saved versions of the selected attachment and restore the chosen one
+     */
+    this._onRestoreVersion = async function() {
+        const attachments = ZT.getSelectedAttachments();
+        if (attachments.length !== 1) {
+            ZT.showInfo('ZotTablet', 'Select a single attachment');
+            return;
+        }
+        if (this._skipReadOnly(attachments).length === 0) return;
+
+        const attachment = attachments[0];
+        const versions = await ZT.VersionHistory.getVersions(attachment);
+        if (versions.length === 0) {
+            ZT.showInfo('ZotTablet', 'No previous versions saved');
+            return;
+        }
+
+        const labels = versions.map(v =>
+            `${new Date(v.timestamp).toLocaleString()} (${ZT.formatFileSize(v.size)})`
+        );
+        const selected = {};
+        const ok = Services.prompt.select(
+            null,
+            'Restore Previous Version',
+            `Select the version of "${attachment.attachmentFilename}" to restore.\nThe current file will be kept as a version.`,
+            labels,
+            selected
+        );
+        if (!ok) return;
+
+        try {
+            await ZT.VersionHistory.restoreVersion(attachment, versions[selected.value]);
+            ZT.showInfo('ZotTablet', `Restored version from ${labels[selected.value]}`);
+        } catch (e) {
+            Zotero.logError(e);
+            ZT.showInfo('ZotTablet', 'Error restoring version: ' + e.message);
+        }
+    };
+
     /**
      * Extract annotations from selected attachments
      */
     this._onExtractAnnotations = async function() {
-        const attachments = ZT.getSelectedAttachments()
-            .filter(att => att.attachmentContentType === 'application/pdf');
+        const attachments = this._skipReadOnly(ZT.getSelectedAttachments())
+            .filter(att => ZT.AnnotationExtractor.supportsAnnotations(att));
 
         if (attachments.length === 0) {
             ZT.showInfo('ZotTablet', 'No PDF attachments selected');
@@ -455,8 +748,8 @@ Zotero.ZotTablet.UIModule = new function() {
      * Extract annotations from selected attachments and create a note
      */
     this._onExtractAnnotationsToNote = async function() {
-        const attachments = ZT.getSelectedAttachments()
-            .filter(att => att.attachmentContentType === 'application/pdf');
+        const attachments = this._skipReadOnly(ZT.getSelectedAttachments())
+            .filter(att => ZT.AnnotationExtractor.supportsAnnotations(att));
 
         if (attachments.length === 0) {
             ZT.showInfo('ZotTablet', 'No PDF attachments selected');
@@ -509,11 +802,186 @@ Zotero.ZotTablet.UIModule = new function() {
         await ZT.SyncManager.checkModifications(attachments);
     };
 
+    /**
+     * Import ZotFile's tablet preferences and attachment records
+     */
+    this._onMigrateZotFile = async function() {
+        const Migration = ZT.ZotFileMigration;
+        let detection;
+        try {
+            detection = await Migration.detect();
+        } catch (e) {
+            Zotero.logError(e);
+            ZT.showInfo('ZotTablet', 'Error: ' + e.message);
+            return;
+        }
+
+        if (!Migration.hasData(detection)) {
+            ZT.showInfo('ZotTablet', 'No ZotFile tablet data found');
+            return;
+        }
+
+        const io = { detection, importPrefs: false, convertItems: false, accepted: false };
+        Zotero.getMainWindow().openDialog(
+            'chrome://zottablet/content/migrate.xhtml',
+            'zottablet-migrate',
+            'chrome,modal,centerscreen,resizable',
+            io
+        );
+        if (!io.accepted) return;
+
+        const progressWin = ZT.showProgress('Migrating from ZotFile');
+        if (io.importPrefs) {
+            Migration.migratePrefs(detection);
+            progressWin.addDescription('Imported ZotFile preferences');
+        }
+
+        if (!io.convertItems) {
+            progressWin.startCloseTimer(ZT.getPref('infoWindowDuration'));
+            return;
+        }
+
+        const { converted, failed } = await Migration.migrateAttachments(detection.attachments);
+        progressWin.addDescription(`Converted ${converted} attachment(s)`);
+        progressWin.startCloseTimer(ZT.getPref('infoWindowDuration'));
+
+        if (failed.length > 0) {
+            const limit = ZT.Constants.LIMITS.ERROR_DISPLAY_LIMIT;
+            const lines = failed.slice(0, limit).map(f =>
+                `${f.attachment.attachmentFilename || f.attachment.getDisplayTitle()}: ${f.reason}`
+            );
+            if (failed.length > limit) {
+                lines.push(`...and ${failed.length - limit} more (see debug output)`);
+            }
+            Services.prompt.alert(
+                null,
+                'ZotTablet',
+                `${failed.length} attachment(s) could not be converted:\n\n${lines.join('\n')}`
+            );
+        }
+    };
+
+    /**
+     * Find files in the tablet folder no attachment claims and handle them
+     */
+    this._onScanOrphans = async function() {
+        const profile = this._chooseProfile('Scan for Untracked Files');
+        if (!profile) return;
+
+        const destDir = profile.destDir;
+        if (!destDir) {
+            ZT.showInfo('ZotTablet', 'Please set the tablet folder in preferences');
+            return;
+        }
+
+        const scanWin = ZT.showProgress('Scanning Tablet Folder');
+        let orphans;
+        try {
+            orphans = await ZT.OrphanScanner.scan(profile);
+        } catch (e) {
+            Zotero.logError(e);
+            scanWin.addDescription('Error: ' + e.message);
+            scanWin.startCloseTimer(ZT.getPref('infoWindowDuration'));
+            return;
+        }
+        scanWin.close();
+
+        if (orphans.length === 0) {
+            ZT.showInfo('ZotTablet', 'No untracked files found');
+            return;
+        }
+
+        const io = { orphans, destDir, actions: null };
+        Zotero.getMainWindow().openDialog(
+            'chrome://zottablet/content/orphans.xhtml',
+            'zottablet-orphans',
+            'chrome,modal,centerscreen,resizable',
+            io
+        );
+        if (!io.actions || io.actions.length === 0) return;
+
+        if (io.actions.some(a => a.action === 'delete')) {
+            const count = io.actions.filter(a => a.action === 'delete').length;
+            if (!Services.prompt.confirm(null, 'ZotTablet', `Permanently delete ${count} file(s) from the tablet folder?`)) {
+                return;
+            }
+        }
+
+        const progressWin = ZT.showProgress('Handling Untracked Files');
+        let done = 0;
+        const errors = [];
+
+        for (const { orphan, action } of io.actions) {
+            const attachment = orphan.match ? orphan.match.attachment : null;
+            try {
+                if (action === 'link') {
+                    await ZT.OrphanScanner.adopt(orphan, attachment);
+                } else if (action === 'import') {
+                    await ZT.OrphanScanner.importOrphan(orphan, attachment ? attachment.parentItem : null);
+                } else if (action === 'delete') {
+                    await ZT.OrphanScanner.deleteOrphan(orphan);
+                }
+                done++;
+            } catch (e) {
+                Zotero.logError(e);
+                errors.push({ filename: ZT.getFilename(orphan.path) });
+            }
+        }
+
+        let message = `Handled ${done} file(s)`;
+        if (errors.length > 0) {
+            message += ' ' + ZT.formatErrorSummary(errors);
+        }
+        progressWin.addDescription(message);
+        progressWin.startCloseTimer(ZT.getPref('infoWindowDuration'));
+    };
+
+    /**
+     * Revert the last send/get batch
+     */
+    this._onUndoLastOperation = async function() {
+        const last = ZT.UndoManager.getLastOperation();
+        if (!last) {
+            ZT.showInfo('ZotTablet', 'Nothing to undo');
+            return;
+        }
+
+        const confirmed = Services.prompt.confirm(
+            null,
+            'ZotTablet',
+            `Undo ${this._describeOperation(last)} from ${new Date(last.date).toLocaleString()}?\n\n` +
+            'File locations, tags and tablet info will be restored to their state before the operation. ' +
+            'Changes made to these files since then will be lost.'
+        );
+        if (!confirmed) return;
+
+        const progressWin = ZT.showProgress('Undoing Last Operation');
+        const { restored, errors } = await ZT.UndoManager.undoLast();
+
+        let message = `Restored ${restored} attachment(s)`;
+        if (errors.length > 0) {
+            message += ' ' + ZT.formatErrorSummary(errors);
+        }
+        progressWin.addDescription(message);
+        progressWin.startCloseTimer(ZT.getPref('infoWindowDuration'));
+    };
+
+    /**
+     * Describe an operation from UndoManager.getLastOperation for menus and prompts
+     */
+    this._describeOperation = function(operation) {
+        const verb = operation.type === 'send' ? 'send' : 'get';
+        return `${verb} of ${operation.count} file(s)`;
+    };
+
     /**
      * Open tablet folder in file manager
      */
     this._onOpenTabletFolder = function() {
-        const destDir = ZT.getPref('destDir');
+        const profile = this._chooseProfile('Open Tablet Folder');
+        if (!profile) return;
+
+        const destDir = profile.destDir;
         if (!destDir) {
             ZT.showInfo('ZotTablet', 'Please set the tablet folder in preferences');
             return;
@@ -535,11 +1003,20 @@ Zotero.ZotTablet.UIModule = new function() {
      * Create saved searches
      */
     this._onCreateSavedSearches = async function() {
-        const created = await ZT.createSavedSearches();
+        const library = Zotero.Libraries.get(ZT.getSelectedLibraryID());
+        let created;
+        try {
+            created = await ZT.createSavedSearches(library.libraryID);
+        } catch (e) {
+            Zotero.logError(e);
+            ZT.showInfo('ZotTablet', 'Error: ' + e.message);
+            return;
+        }
+
         if (created > 0) {
-            ZT.showInfo('ZotTablet', `Created ${created} saved search(es)`);
+            ZT.showInfo('ZotTablet', `Created ${created} saved search(es) in "${library.name}"`);
         } else {
-            ZT.showInfo('ZotTablet', 'Saved searches already exist');
+            ZT.showInfo('ZotTablet', `Saved searches already exist in "${library.name}"`);
         }
     };
 
@@ -0,0 +1,309 @@
+/**
+ * ZotTablet - Undo Manager Module
+ * Records sendToTablet/getFromTablet batches so the last one can be reverted
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * For each attachment in a batch the state before the batch is recorded
+ * (file path, tablet info, tablet tags on attachment and parent),
+ * followed by every change made to the file system. Files that are overwritten
+ * or deleted are backed up to <data dir>/zottablet/undo/<operation id>/.
+ * Only the last committed operation is kept.
+ */
+
+Zotero.ZotTablet.UndoManagerModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    // Last committed operation
+    this._lastOperation = null;
+
+    /**
+     * Initialize the undo manager
+     */
+    this.init = async function() {
+        await this._load();
+        Zotero.debug('ZotTablet UndoManager: Initialized');
+    };
+
+    /**
+     * Shutdown the undo manager
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet UndoManager: Shutdown');
+    };
+
+    // ==================== Recording ====================
+
+    /**
+     * Start recording a batch
+     * @param {string} type - 'send' or 'get'
+     * @returns {Object} Operation to pass to the other recording functions
+     */
+    this.begin = function(type) {
+        return {
+            id: Zotero.Utilities.randomString(),
+            type,
+            date: Date.now(),
+            items: []
+        };
+    };
+
+    /**
+     * Record the state of an attachment before the batch changes it
+     * Only the first snapshot of an attachment is kept.
+     */
+    this.snapshot = async function(operation, attachment) {
+        if (this._findItem(operation, attachment)) return;
+
+        // Tags of every profile: before a send it is not known which one applies
+        const tags = ZT.Profiles.getAllTags();
+        const parent = Zotero.Items.get(attachment.parentItemID);
+        const tagState = (item) => Object.fromEntries(
+            tags.map(tag => [tag, !!item && item.hasTag(tag)])
+        );
+
+        operation.items.push({
+            libraryID: attachment.libraryID,
+            key: attachment.key,
+            filename: attachment.attachmentFilename,
+            path: await attachment.getFilePathAsync(),
+            linkMode: attachment.attachmentLinkMode,
+            tabletInfo: ZT.SyncManager._readTabletInfo(attachment),
+            attachmentTags: tagState(attachment),
+            parentTags: parent ? tagState(parent) : null,
+            changes: []
+        });
+    };
+
+    /**
+     * Record a file system change made for an attachment
+     * @param {Object} change - One of
+     *     { action: 'created', path }
+     *     { action: 'moved', from, to }
+     *     { action: 'createdItem', libraryID, key }
+     */
+    this.recordChange = function(operation, attachment, change) {
+        const record = this._findItem(operation, attachment);
+        if (record) {
+            record.changes.push(change);
+        }
+    };
+
+    /**
+     * Follow an attachment that Zotero replaced with a new item, as when a
+     * linked file is converted to a stored file
+     */
+    this.replaceItem = function(operation, attachment, newItem) {
+        const record = this._findItem(operation, attachment);
+        if (record) {
+            record.key = newItem.key;
+        }
+    };
+
+    /**
+     * Back up a file before it is overwritten or deleted
+     * @param {string} action - 'replaced' or 'deleted'
+     */
+    this.backupFile = async function(operation, attachment, path, action) {
+        const record = this._findItem(operation, attachment);
+        if (!record || !path || !(await ZT.fileExists(path))) return;
+
+        const backup = await ZT.copyFile(
+            path,
+            ZT.joinPath(this._getOperationDir(operation), `${attachment.key}_${record.changes.length}`)
+        );
+        record.changes.push({ action, path, backup });
+    };
+
+    /**
+     * Make a recorded batch the one Undo Last Operation reverts
+     * Empty operations are discarded and leave the previous one in place.
+     */
+    this.commit = async function(operation) {
+        if (operation.items.length === 0) {
+            await this.discard(operation);
+            return;
+        }
+
+        const previous = this._lastOperation;
+        this._lastOperation = operation;
+        await this._save();
+
+        if (previous) {
+            await ZT.removeDirectory(this._getOperationDir(previous));
+        }
+    };
+
+    /**
+     * Drop a recorded batch and its backups
+     */
+    this.discard = async function(operation) {
+        await ZT.removeDirectory(this._getOperationDir(operation));
+    };
+
+    // ==================== Undo ====================
+
+    /**
+     * Get the operation Undo Last Operation would revert
+     * @returns {Object|null} { type, date, count }
+     */
+    this.getLastOperation = function() {
+        const op = this._lastOperation;
+        if (!op) return null;
+        return { type: op.type, date: op.date, count: op.items.length };
+    };
+
+    /**
+     * Revert the last committed operation
+     * @returns {Promise<{ restored: number, errors: Array }>}
+     */
+    this.undoLast = async function() {
+        const operation = this._lastOperation;
+        if (!operation) return { restored: 0, errors: [] };
+
+        let restored = 0;
+        const errors = [];
+
+        // Reverse order, so the first snapshot of shared parents is applied last
+        for (const record of [...operation.items].reverse()) {
+            const attachment = await Zotero.Items.getByLibraryAndKeyAsync(record.libraryID, record.key);
+            try {
+                await this._undoRecord(record, attachment);
+                restored++;
+            } catch (e) {
+                Zotero.logError(e);
+                errors.push(ZT.createError(attachment, e, C.ERROR_CODES.UNKNOWN));
+            }
+        }
+
+        this._lastOperation = null;
+        await this._save();
+        await this.discard(operation);
+
+        return { restored, errors };
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Revert the changes recorded for one attachment
+     */
+    this._undoRecord = async function(record, attachment) {
+        for (const change of [...record.changes].reverse()) {
+            switch (change.action) {
+                case 'created':
+                    await ZT.removeFile(change.path);
+                    break;
+                case 'moved':
+                    // Exact move: the attachment is relinked to the recorded path,
+                    // so a file that has taken its place since stops the undo
+                    if (await ZT.fileExists(change.to)) {
+                        await ZT.moveFile(change.to, change.from, true);
+                    }
+                    break;
+                case 'replaced':
+                case 'deleted':
+                    await ZT.copyFile(change.backup, change.path, true);
+                    break;
+                case 'createdItem': {
+                    const item = await Zotero.Items.getByLibraryAndKeyAsync(change.libraryID, change.key);
+                    if (item) {
+                        await item.eraseTx();
+                    }
+                    break;
+                }
+            }
+        }
+
+        if (!attachment) {
+            throw new Error(`Attachment ${record.filename} no longer exists`);
+        }
+
+        // A linked file converted to a stored file on retrieval becomes linked again
+        if (record.linkMode !== undefined) {
+            attachment.attachmentLinkMode = record.linkMode;
+        }
+        if (record.path && ((await attachment.getFilePathAsync()) !== record.path || attachment.hasChanged())) {
+            await attachment.relinkAttachmentFile(record.path);
+        }
+
+        if (record.tabletInfo) {
+            ZT.SyncManager.setTabletInfo(attachment, record.tabletInfo);
+        } else {
+            ZT.SyncManager.clearTabletInfo(attachment);
+        }
+        this._applyTagState(attachment, record.attachmentTags);
+        await attachment.saveTx();
+
+        const parent = Zotero.Items.get(attachment.parentItemID);
+        if (parent && record.parentTags) {
+            this._applyTagState(parent, record.parentTags);
+            await parent.saveTx();
+        }
+    };
+
+    /**
+     * Add or remove tags to match a recorded { tag: present } state
+     */
+    this._applyTagState = function(item, state) {
+        for (const [tag, present] of Object.entries(state)) {
+            if (present) {
+                item.addTag(tag);
+            } else {
+                item.removeTag(tag);
+            }
+        }
+    };
+
+    /**
+     * Find the record of an attachment in an operation
+     */
+    this._findItem = function(operation, attachment) {
+        return operation.items.find(item =>
+            item.libraryID === attachment.libraryID && item.key === attachment.key
+        );
+    };
+
+    /**
+     * Get the backup folder of an operation
+     */
+    this._getOperationDir = function(operation) {
+        return ZT.getDataDir(C.DATA_DIR.UNDO, operation.id);
+    };
+
+    /**
+     * Get the path of the file holding the last operation
+     */
+    this._getPath = function() {
+        return ZT.getDataDir(C.DATA_DIR.UNDO, 'operation.json');
+    };
+
+    /**
+     * Read the last operation from disk
+     */
+    this._load = async function() {
+        const path = this._getPath();
+        if (!(await ZT.fileExists(path))) return;
+
+        try {
+            this._lastOperation = JSON.parse(await Zotero.File.getContentsAsync(path));
+        } catch (e) {
+            Zotero.logError(e);
+            this._lastOperation = null;
+        }
+    };
+
+    /**
+     * Write the last operation to disk
+     */
+    this._save = async function() {
+        const path = this._getPath();
+        if (!this._lastOperation) {
+            await ZT.removeFile(path);
+            return;
+        }
+        await ZT.ensureDirectory(ZT.getParentDir(path));
+        await Zotero.File.putContentsAsync(path, JSON.stringify(this._lastOperation));
+    };
+};
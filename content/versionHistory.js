@@ -0,0 +1,144 @@
+/**
+ * ZotTablet - Version History Module
+ * Keeps copies of Zotero files before they are overwritten by tablet versions
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * Versions are stored per attachment in <data dir>/zottablet/history/<libraryID>_<key>/
+ * and named <timestamp>.<ext>, so no separate index is needed.
+ */
+
+Zotero.ZotTablet.VersionHistoryModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    /**
+     * Initialize the version history
+     */
+    this.init = async function() {
+        Zotero.debug('ZotTablet VersionHistory: Initialized');
+    };
+
+    /**
+     * Shutdown the version history
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet VersionHistory: Shutdown');
+    };
+
+    /**
+     * Get the history folder of an attachment
+     */
+    this.getHistoryDir = function(attachment) {
+        return this._getHistoryDir(attachment.libraryID, attachment.key);
+    };
+
+    /**
+     * Save a copy of a file before it is overwritten
+     * Does nothing if version history is disabled or the file does not exist
+     * @param {Zotero.Item} attachment - Attachment the file belongs to
+     * @param {string} path - File to save
+     */
+    this.saveVersion = async function(attachment, path) {
+        if (!ZT.getPref(C.PREF_KEYS.HISTORY_ENABLED)) return;
+
+        await this._storeVersion(attachment, path);
+        await this.prune(attachment);
+    };
+
+    /**
+     * List saved versions of an attachment, newest first
+     * @returns {Promise<Array<{ path: string, timestamp: number, size: number }>>}
+     */
+    this.getVersions = async function(attachment) {
+        const versions = [];
+        for (const path of await ZT.getDirectoryEntries(this.getHistoryDir(attachment))) {
+            const match = ZT.getFilename(path).match(/^(\d+)/);
+            if (!match) continue;
+            versions.push({
+                path,
+                timestamp: parseInt(match[1]),
+                size: await ZT.getFileSize(path)
+            });
+        }
+        return versions.sort((a, b) => b.timestamp - a.timestamp);
+    };
+
+    /**
+     * Replace the attachment file with a saved version
+     * The current file is saved as a version first, so a restore can itself be undone.
+     * @param {Zotero.Item} attachment
+     * @param {Object} version - Entry returned by getVersions
+     */
+    this.restoreVersion = async function(attachment, version) {
+        const filePath = await attachment.getFilePathAsync();
+        if (!filePath) {
+            throw new Error('Attachment has no file path');
+        }
+
+        await this._storeVersion(attachment, filePath);
+        await ZT.copyFile(version.path, filePath, true);
+        await this.prune(attachment);
+
+        Zotero.debug(`ZotTablet: Restored ${attachment.attachmentFilename} to version ${version.timestamp}`);
+    };
+
+    /**
+     * Remove versions beyond the configured count or age
+     */
+    this.prune = async function(attachment) {
+        const maxVersions = parseInt(ZT.getPref(C.PREF_KEYS.HISTORY_MAX_VERSIONS)) || 0;
+        const maxAgeDays = parseInt(ZT.getPref(C.PREF_KEYS.HISTORY_MAX_AGE_DAYS)) || 0;
+        const minTimestamp = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : 0;
+
+        const versions = await this.getVersions(attachment);
+        for (let i = 0; i < versions.length; i++) {
+            const tooMany = maxVersions > 0 && i >= maxVersions;
+            const tooOld = versions[i].timestamp < minTimestamp;
+            if (tooMany || tooOld) {
+                await ZT.removeFile(versions[i].path);
+            }
+        }
+
+        await ZT.removeEmptyDirs(this.getHistoryDir(attachment), ZT.getDataDir(C.DATA_DIR.HISTORY));
+    };
+
+    /**
+     * Remove the history of deleted attachments (notifier handler)
+     * @param {number[]} ids - Deleted item IDs
+     * @param {Object} extraData - Notifier extra data with libraryID and key per ID
+     */
+    this.onItemsDeleted = async function(ids, extraData) {
+        for (const id of ids) {
+            const data = extraData && extraData[id];
+            if (!data || !data.key) continue;
+
+            await ZT.removeDirectory(this._getHistoryDir(data.libraryID, data.key));
+        }
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Get the history folder for a library ID and item key
+     */
+    this._getHistoryDir = function(libraryID, key) {
+        return ZT.getDataDir(C.DATA_DIR.HISTORY, `${libraryID}_${key}`);
+    };
+
+    /**
+     * Copy a file into the history folder, named after the current time
+     */
+    this._storeVersion = async function(attachment, path) {
+        if (!path || !(await ZT.fileExists(path))) return;
+
+        const ext = ZT.getFileExtension(path);
+        const versionPath = ZT.joinPath(
+            this.getHistoryDir(attachment),
+            Date.now() + (ext ? '.' + ext : '')
+        );
+
+        await ZT.copyFile(path, versionPath);
+        Zotero.debug(`ZotTablet: Saved version of ${attachment.attachmentFilename} to ${versionPath}`);
+    };
+};
@@ -0,0 +1,344 @@
+/**
+ * ZotTablet - ZotFile Migration Module
+ * Converts ZotFile tablet records and preferences into ZotTablet's
+ *
+ * Compatible with Zotero 7 (Firefox 115) and Zotero 8 (Firefox 140)
+ *
+ * ZotFile kept its tablet info in the attachment note as JSON in the title
+ * attribute of <p id="zotfile-data">; versions before 4 wrote it as
+ * key{value} pairs in the note text. Both are read, moved into the tablet
+ * store used by SyncManager.getTabletInfo and removed from the note.
+ */
+
+Zotero.ZotTablet.ZotFileMigrationModule = new function() {
+    const ZT = Zotero.ZotTablet;
+    const C = Zotero.ZotTablet.Constants;
+
+    const ZOTFILE_PREFIX = 'extensions.zotfile.';
+
+    // ZotFile preference -> ZotTablet preference key
+    const PREF_MAP = {
+        'tablet.dest_dir': C.PREF_KEYS.DEST_DIR,
+        'tablet.mode': C.PREF_KEYS.MODE,
+        'tablet.rename': C.PREF_KEYS.RENAME,
+        'renameFormat': C.PREF_KEYS.RENAME_FORMAT,
+        'max_authors': C.PREF_KEYS.AUTHORS_MAX,
+        'number_truncate_authors': C.PREF_KEYS.AUTHORS_TRUNCATE,
+        'etal': C.PREF_KEYS.AUTHORS_ET_AL,
+        'authors_delimiter': C.PREF_KEYS.AUTHORS_DELIMITER,
+        'tablet.subfolder': C.PREF_KEYS.SUBFOLDER,
+        'tablet.subfolderFormat': C.PREF_KEYS.SUBFOLDER_FORMAT,
+        'tablet.tag': C.PREF_KEYS.TAG_ON_TABLET,
+        'tablet.tagModified': C.PREF_KEYS.TAG_MODIFIED
+    };
+
+    // ZotFile preferences with no ZotTablet equivalent, reported to the user
+    const UNMAPPED_PREFS = {
+        'renameFormat_patent': 'ZotTablet uses one rename format for all item types'
+    };
+
+    // Legacy record keys (key{value} in the note text)
+    const LEGACY_KEYS = ['lastmod', 'mode', 'location', 'projectFolder'];
+
+    // Most project folders ZotFile offered as numbered prefs
+    const MAX_LEGACY_PROJECT_FOLDERS = 15;
+
+    /**
+     * Initialize the migration module
+     */
+    this.init = async function() {
+        Zotero.debug('ZotTablet ZotFileMigration: Initialized');
+    };
+
+    /**
+     * Shutdown the migration module
+     */
+    this.shutdown = function() {
+        Zotero.debug('ZotTablet ZotFileMigration: Shutdown');
+    };
+
+    // ==================== Detection ====================
+
+    /**
+     * Look for ZotFile preferences and tablet records
+     * @returns {Promise<{ prefs: Array, unmapped: Array, projectFolders: Array, attachments: Zotero.Item[] }>}
+     *          prefs: [{ zotfileKey, key, value }], unmapped: [{ zotfileKey, value, reason }]
+     */
+    this.detect = async function() {
+        const prefs = [];
+        const unmapped = [];
+        for (const [zotfileKey, key] of Object.entries(PREF_MAP)) {
+            const value = Zotero.Prefs.get(ZOTFILE_PREFIX + zotfileKey, true);
+            if (value === undefined || value === '') continue;
+
+            const converted = this._convertPrefValue(key, value);
+            const error = this._isTemplatePref(key) ? ZT.Templates.validate(converted) : null;
+            if (error) {
+                unmapped.push({ zotfileKey, value, reason: `Not a valid ZotTablet template: ${error}` });
+            } else {
+                prefs.push({ zotfileKey, key, value: converted });
+            }
+        }
+
+        for (const [zotfileKey, reason] of Object.entries(UNMAPPED_PREFS)) {
+            const value = Zotero.Prefs.get(ZOTFILE_PREFIX + zotfileKey, true);
+            if (value !== undefined && value !== '') {
+                unmapped.push({ zotfileKey, value, reason });
+            }
+        }
+
+        return {
+            prefs,
+            unmapped,
+            projectFolders: this._readProjectFolders(),
+            attachments: await this._findAttachments()
+        };
+    };
+
+    /**
+     * Check if a detection result has anything to migrate
+     */
+    this.hasData = function(detection) {
+        return detection.prefs.length > 0 ||
+            detection.projectFolders.length > 0 ||
+            detection.attachments.length > 0;
+    };
+
+    // ==================== Migration ====================
+
+    /**
+     * Copy ZotFile preferences into ZotTablet's
+     * @param {Object} detection - From detect
+     */
+    this.migratePrefs = function(detection) {
+        for (const { key, value } of detection.prefs) {
+            ZT.setPref(key, value);
+        }
+        if (detection.projectFolders.length > 0) {
+            ZT.setPref(C.PREF_KEYS.PROJECT_FOLDERS, JSON.stringify(detection.projectFolders));
+        }
+        Zotero.debug(`ZotTablet: Migrated ${detection.prefs.length} ZotFile preference(s)`);
+    };
+
+    /**
+     * Convert the ZotFile tablet records of attachments
+     * @param {Zotero.Item[]} attachments - From detect
+     * @returns {Promise<{ converted: number, failed: Array<{ attachment, reason }> }>}
+     */
+    this.migrateAttachments = async function(attachments) {
+        let converted = 0;
+        const failed = [];
+
+        for (const attachment of attachments) {
+            try {
+                await this._convertAttachment(attachment);
+                converted++;
+            } catch (e) {
+                Zotero.debug(`ZotTablet: Could not convert ZotFile data of ${attachment.attachmentFilename}: ${e.message}`);
+                failed.push({ attachment, reason: e.message });
+            }
+        }
+
+        return { converted, failed };
+    };
+
+    // ==================== Helper Functions ====================
+
+    /**
+     * Rewrite one attachment's ZotFile record as ZotTablet tablet info and tags
+     */
+    this._convertAttachment = async function(attachment) {
+        const SM = ZT.SyncManager;
+        const record = this._readRecord(attachment);
+        if (!record) {
+            throw new Error('No ZotFile tablet data in attachment note');
+        }
+
+        const mode = parseInt(record.mode) || SM.MODE_BACKGROUND;
+        if (mode !== SM.MODE_BACKGROUND && mode !== SM.MODE_FOREGROUND) {
+            throw new Error(`Unknown ZotFile mode "${record.mode}"`);
+        }
+
+        let location = record.location || '';
+        if (!location && mode === SM.MODE_FOREGROUND) {
+            location = (await attachment.getFilePathAsync()) || '';
+        }
+        if (!location) {
+            throw new Error('ZotFile data has no tablet file location');
+        }
+
+        // Absolute paths inside the tablet folder get the base folder placeholder
+        const destDir = (ZT.getPref('destDir') || '').replace(/[\/\\]+$/, '');
+        if (destDir && location.startsWith(destDir)) {
+            location = '[BaseFolder]' + location.substring(destDir.length);
+        }
+
+        this._removeRecord(attachment);
+        SM.setTabletInfo(attachment, {
+            location,
+            lastmod: parseInt(record.lastmod) || 0,
+            mode,
+            projectFolder: record.projectFolder || '',
+            profile: C.DEFAULT_PROFILE_ID
+        });
+
+        // Replace ZotFile's tags if they differ from ZotTablet's
+        const tags = SM.getTags();
+        const zotfileTags = this._getZotFileTags();
+        const modified = attachment.hasTag(zotfileTags.modified) || attachment.hasTag(tags.modified);
+        for (const tag of [zotfileTags.onTablet, zotfileTags.modified]) {
+            if (tag !== tags.onTablet && tag !== tags.modified && attachment.hasTag(tag)) {
+                await SM.removeTabletTag(attachment, tag);
+            }
+        }
+        await SM.addTabletTag(attachment, modified ? tags.modified : tags.onTablet);
+    };
+
+    /**
+     * Read the ZotFile record from an attachment note
+     * @returns {Object|null} { lastmod, mode, location, projectFolder }
+     */
+    this._readRecord = function(attachment) {
+        const content = attachment.getNote() || '';
+        if (!content) return null;
+
+        const doc = new DOMParser().parseFromString(content, 'text/html');
+        const dataEl = doc.querySelector('#zotfile-data');
+        if (dataEl) {
+            try {
+                return JSON.parse(dataEl.getAttribute('title'));
+            } catch (e) {
+                throw new Error('ZotFile data is not valid JSON');
+            }
+        }
+
+        // Legacy key{value} pairs
+        const text = doc.body.textContent;
+        const record = {};
+        for (const key of LEGACY_KEYS) {
+            const match = text.match(new RegExp(key + '\\{(.*?)\\}'));
+            if (match) record[key] = match[1];
+        }
+        return Object.keys(record).length > 0 ? record : null;
+    };
+
+    /**
+     * Remove the ZotFile record from an attachment note (not saved)
+     */
+    this._removeRecord = function(attachment) {
+        const doc = new DOMParser().parseFromString(attachment.getNote() || '', 'text/html');
+        const dataEl = doc.querySelector('#zotfile-data');
+        if (dataEl) {
+            dataEl.remove();
+            attachment.setNote(doc.body.innerHTML);
+            return;
+        }
+
+        let html = doc.body.innerHTML;
+        for (const key of LEGACY_KEYS) {
+            html = html.replace(new RegExp(key + '\\{.*?\\}'), '');
+        }
+        attachment.setNote(html);
+    };
+
+    /**
+     * Find child attachments in editable libraries with a ZotFile record or
+     * ZotFile tablet tags and no ZotTablet info
+     */
+    this._findAttachments = async function() {
+        const zotfileTags = this._getZotFileTags();
+        const attachments = [];
+
+        for (const libraryID of ZT.getEditableLibraryIDs()) {
+            const search = new Zotero.Search();
+            search.libraryID = libraryID;
+            search.addCondition('joinMode', 'any');
+            search.addCondition('note', 'contains', 'zotfile-data');
+            search.addCondition('tag', 'is', zotfileTags.onTablet);
+            search.addCondition('tag', 'is', zotfileTags.modified);
+
+            attachments.push(...Zotero.Items.get(await search.search()).filter(item =>
+                item.isAttachment() && !item.isTopLevelItem() &&
+                !ZT.SyncManager.getTabletInfo(item)
+            ));
+        }
+        return attachments;
+    };
+
+    /**
+     * Get the tags ZotFile used for files on tablet
+     */
+    this._getZotFileTags = function() {
+        return {
+            onTablet: Zotero.Prefs.get(ZOTFILE_PREFIX + 'tablet.tag', true) || C.PREF_DEFAULTS.tagOnTablet,
+            modified: Zotero.Prefs.get(ZOTFILE_PREFIX + 'tablet.tagModified', true) || C.PREF_DEFAULTS.tagModified
+        };
+    };
+
+    /**
+     * Read ZotFile's project folders (a JSON pref in ZotFile 5, numbered prefs before)
+     * @returns {Array<{ label: string, path: string }>}
+     */
+    this._readProjectFolders = function() {
+        const json = Zotero.Prefs.get(ZOTFILE_PREFIX + 'tablet.subfolders', true);
+        if (json) {
+            try {
+                const parsed = JSON.parse(json);
+                if (Array.isArray(parsed)) {
+                    return parsed
+                        .filter(f => f && f.path)
+                        .map(f => ({ label: f.label || f.path, path: this._trimSlashes(f.path) }));
+                }
+            } catch (e) {
+                Zotero.debug('ZotTablet: Invalid ZotFile tablet.subfolders JSON');
+            }
+        }
+
+        const folders = [];
+        for (let i = 1; i <= MAX_LEGACY_PROJECT_FOLDERS; i++) {
+            const path = Zotero.Prefs.get(ZOTFILE_PREFIX + 'tablet.subfolder' + i, true);
+            if (!path) continue;
+            const label = Zotero.Prefs.get(ZOTFILE_PREFIX + 'tablet.subfolderlabel' + i, true);
+            folders.push({ label: label || path, path: this._trimSlashes(path) });
+        }
+        return folders;
+    };
+
+    /**
+     * Convert a ZotFile preference value to the type ZotTablet stores
+     */
+    this._convertPrefValue = function(key, value) {
+        switch (key) {
+            case C.PREF_KEYS.MODE:
+                return parseInt(value) === C.MODE.FOREGROUND ? C.MODE.FOREGROUND : C.MODE.BACKGROUND;
+            case C.PREF_KEYS.RENAME:
+            case C.PREF_KEYS.SUBFOLDER:
+                return !!value;
+            case C.PREF_KEYS.AUTHORS_MAX:
+            case C.PREF_KEYS.AUTHORS_TRUNCATE:
+                return parseInt(value) || C.PREF_DEFAULTS[key];
+            case C.PREF_KEYS.AUTHORS_ET_AL:
+                // ZotFile could switch "et al." off separately
+                return Zotero.Prefs.get(ZOTFILE_PREFIX + 'add_etal', true) === false ? '' : value;
+            case C.PREF_KEYS.SUBFOLDER_FORMAT:
+                // ZotFile formats start with a slash ("/%j/%y")
+                return this._trimSlashes(String(value));
+            default:
+                return value;
+        }
+    };
+
+    /**
+     * Check if a ZotTablet preference holds a template
+     */
+    this._isTemplatePref = function(key) {
+        return key === C.PREF_KEYS.RENAME_FORMAT || key === C.PREF_KEYS.SUBFOLDER_FORMAT;
+    };
+
+    /**
+     * Remove leading and trailing slashes
+     */
+    this._trimSlashes = function(path) {
+        return path.replace(/^[\/\\]+|[\/\\]+$/g, '');
+    };
+};
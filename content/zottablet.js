@@ -40,8 +40,18 @@ Zotero.ZotTablet = new function() {
 
     // Submodules
     this.ReadingList = null;
+    this.Profiles = null;
+    this.TabletStore = null;
     this.SyncManager = null;
+    this.Transforms = null;
     this.AnnotationExtractor = null;
+    this.VersionHistory = null;
+    this.Journal = null;
+    this.UndoManager = null;
+    this.OrphanScanner = null;
+    this.TabletWatcher = null;
+    this.CollectionMirror = null;
+    this.ZotFileMigration = null;
     this.UI = null;
 
     /**
@@ -62,25 +72,86 @@ Zotero.ZotTablet = new function() {
 
         // Load submodules
         Services.scriptloader.loadSubScript(rootURI + "content/readingList.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/profiles.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/tabletStore.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/templates.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/filenamePolicy.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/sidecars.js");
         Services.scriptloader.loadSubScript(rootURI + "content/syncManager.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/transforms.js");
         Services.scriptloader.loadSubScript(rootURI + "content/annotationExtractor.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/versionHistory.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/journal.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/undoManager.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/orphanScanner.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/tabletWatcher.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/collectionMirror.js");
+        Services.scriptloader.loadSubScript(rootURI + "content/zotfileMigration.js");
         Services.scriptloader.loadSubScript(rootURI + "content/ui.js");
 
         this.ReadingList = Zotero.ZotTablet.ReadingListModule;
+        this.Profiles = Zotero.ZotTablet.ProfilesModule;
+        this.TabletStore = Zotero.ZotTablet.TabletStoreModule;
+        this.Templates = Zotero.ZotTablet.TemplatesModule;
+        this.FilenamePolicy = Zotero.ZotTablet.FilenamePolicyModule;
+        this.Sidecars = Zotero.ZotTablet.SidecarsModule;
         this.SyncManager = Zotero.ZotTablet.SyncManagerModule;
+        this.Transforms = Zotero.ZotTablet.TransformsModule;
         this.AnnotationExtractor = Zotero.ZotTablet.AnnotationExtractorModule;
+        this.VersionHistory = Zotero.ZotTablet.VersionHistoryModule;
+        this.Journal = Zotero.ZotTablet.JournalModule;
+        this.UndoManager = Zotero.ZotTablet.UndoManagerModule;
+        this.OrphanScanner = Zotero.ZotTablet.OrphanScannerModule;
+        this.TabletWatcher = Zotero.ZotTablet.TabletWatcherModule;
+        this.CollectionMirror = Zotero.ZotTablet.CollectionMirrorModule;
+        this.ZotFileMigration = Zotero.ZotTablet.ZotFileMigrationModule;
         this.UI = Zotero.ZotTablet.UIModule;
 
         // Initialize submodules
         await this.ReadingList.init();
+        await this.Profiles.init();
+        await this.TabletStore.init();
+        await this.Templates.init();
+        await this.FilenamePolicy.init();
+        await this.Sidecars.init();
         await this.SyncManager.init();
+        await this.Transforms.init();
         await this.AnnotationExtractor.init();
+        await this.VersionHistory.init();
+        await this.Journal.init();
+        await this.UndoManager.init();
+        await this.OrphanScanner.init();
+        await this.TabletWatcher.init();
+        await this.CollectionMirror.init();
+        await this.ZotFileMigration.init();
         await this.UI.init();
 
+        // Move tablet info written by earlier versions out of attachment notes
+        try {
+            await this.TabletStore.migrateNotes();
+        } catch (e) {
+            Zotero.logError(e);
+        }
+
+        // Remove partly written files and put back files whose move was
+        // interrupted, before the journal looks for them
+        try {
+            await this.cleanupTempFiles();
+        } catch (e) {
+            Zotero.logError(e);
+        }
+
+        // Finish or undo file operations interrupted by a crash
+        try {
+            await this.Journal.recover();
+        } catch (e) {
+            Zotero.logError(e);
+        }
+
         // Register notifier for item changes
         this._notifierID = Zotero.Notifier.registerObserver(
             this._notifierCallback,
-            ['item'],
+            ['item', 'collection-item'],
             'zottablet'
         );
 
@@ -115,8 +186,21 @@ Zotero.ZotTablet = new function() {
 
         // Shutdown submodules
         if (this.UI) this.UI.shutdown();
+        if (this.ZotFileMigration) this.ZotFileMigration.shutdown();
+        if (this.CollectionMirror) this.CollectionMirror.shutdown();
+        if (this.TabletWatcher) this.TabletWatcher.shutdown();
+        if (this.OrphanScanner) this.OrphanScanner.shutdown();
+        if (this.UndoManager) this.UndoManager.shutdown();
+        if (this.Journal) this.Journal.shutdown();
+        if (this.VersionHistory) this.VersionHistory.shutdown();
         if (this.AnnotationExtractor) this.AnnotationExtractor.shutdown();
+        if (this.Transforms) this.Transforms.shutdown();
         if (this.SyncManager) this.SyncManager.shutdown();
+        if (this.Sidecars) this.Sidecars.shutdown();
+        if (this.FilenamePolicy) this.FilenamePolicy.shutdown();
+        if (this.Templates) this.Templates.shutdown();
+        if (this.TabletStore) this.TabletStore.shutdown();
+        if (this.Profiles) this.Profiles.shutdown();
         if (this.ReadingList) this.ReadingList.shutdown();
 
         this._initialized = false;
@@ -169,16 +253,21 @@ Zotero.ZotTablet = new function() {
 
     /**
      * Get item tablet status for display
+     * The profile name is added once more than one profile is configured.
      */
     this.getItemStatus = function(item) {
         if (!item || !item.isAttachment()) return '';
 
-        const tagTablet = this.getPref('tagOnTablet');
-        const tagModified = this.getPref('tagModified');
         const tagReading = this.getPref('tagReadingList');
 
-        if (item.hasTag(tagModified)) return 'Modified';
-        if (item.hasTag(tagTablet)) return 'On Tablet';
+        if (this.SyncManager.isOnTablet(item)) {
+            const profile = this.SyncManager.getProfileOf(item);
+            const tags = this.SyncManager.getTags(profile);
+            const suffix = this.Profiles.hasMultiple() ? ` (${profile.name})` : '';
+
+            if (item.hasTag(tags.modified)) return 'Modified' + suffix;
+            if (item.hasTag(tags.onTablet)) return 'On Tablet' + suffix;
+        }
         if (item.hasTag(tagReading)) return 'Reading';
 
         return '';
@@ -193,6 +282,24 @@ Zotero.ZotTablet = new function() {
             if (event === 'modify' && type === 'item') {
                 // Could trigger automatic sync check here if enabled
             }
+
+            // Mirror bound collections to their project folders
+            if (type === 'collection-item') {
+                Zotero.ZotTablet.CollectionMirror.onCollectionItems(event, ids);
+            }
+            if (event === 'add' && type === 'item') {
+                Zotero.ZotTablet.CollectionMirror.onItemsAdded(ids);
+            }
+
+            // Drop tablet info and stored versions of deleted attachments
+            if (event === 'delete' && type === 'item') {
+                Zotero.ZotTablet.TabletStore.onItemsDeleted(ids, extraData);
+                try {
+                    await Zotero.ZotTablet.VersionHistory.onItemsDeleted(ids, extraData);
+                } catch (e) {
+                    Zotero.logError(e);
+                }
+            }
         }
     };
 
@@ -215,44 +322,68 @@ Zotero.ZotTablet = new function() {
     // ==================== Batch Processing ====================
 
     /**
-     * Process items in parallel chunks with controlled concurrency
+     * Process items in parallel with a pool of workers
+     * Each worker takes the next item as soon as its current one is done, so a
+     * slow file only holds up its own worker. When the signal is aborted no
+     * new items are started; items already started run to completion and are
+     * reported as usual, so callers can finish them consistently.
      * @param {Array} items - Items to process
      * @param {Function} processor - Async function(item) => { success: bool, data?: any, error?: Error, filename?: string }
-     * @param {Object} options - { concurrency: 3, onProgress: fn(completed, total) }
-     * @returns {Object} { successes: [], errors: [] }
+     * @param {Object} options - { concurrency: 3, onProgress: fn(completed, total), signal: AbortSignal }
+     * @returns {Object} { successes: [], errors: [], skipped: items not started, cancelled: bool }
      */
     this.processInBatches = async function(items, processor, options = {}) {
-        const concurrency = options.concurrency || Zotero.ZotTablet.Constants.LIMITS.CONCURRENCY;
+        const concurrency = Math.max(1, options.concurrency || Zotero.ZotTablet.Constants.LIMITS.CONCURRENCY);
         const onProgress = options.onProgress || (() => {});
+        const signal = options.signal || null;
 
-        const successes = [];
-        const errors = [];
+        // Indexed by item, so results keep the order of items
+        const results = new Array(items.length);
+        let next = 0;
         let completed = 0;
 
-        for (let i = 0; i < items.length; i += concurrency) {
-            const chunk = items.slice(i, i + concurrency);
-            const results = await Promise.all(chunk.map(async (item) => {
+        const worker = async () => {
+            while (next < items.length && !(signal && signal.aborted)) {
+                const index = next++;
+                const item = items[index];
                 try {
                     const result = await processor(item);
-                    return { success: true, item, ...result };
+                    results[index] = { success: true, item, ...result };
                 } catch (e) {
                     const filename = item.attachmentFilename || item.name || 'unknown';
-                    return { success: false, error: e, item, filename };
+                    results[index] = { success: false, error: e, item, filename };
                 }
-            }));
-
-            for (const result of results) {
                 completed++;
-                if (result.success) {
-                    successes.push(result);
-                } else {
-                    errors.push(result);
-                }
                 onProgress(completed, items.length);
             }
-        }
+        };
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+        const successes = [];
+        const errors = [];
+        const skipped = [];
+        items.forEach((item, index) => {
+            const result = results[index];
+            if (!result) {
+                skipped.push(item);
+            } else if (result.success) {
+                successes.push(result);
+            } else {
+                errors.push(result);
+            }
+        });
 
-        return { successes, errors };
+        return { successes, errors, skipped, cancelled: skipped.length > 0 };
+    };
+
+    /**
+     * Create an AbortController, from the main window if the plugin scope has none
+     */
+    this.createAbortController = function() {
+        if (typeof AbortController !== 'undefined') {
+            return new AbortController();
+        }
+        return new (Zotero.getMainWindow().AbortController)();
     };
 
     // ==================== Utility Functions ====================
@@ -264,6 +395,77 @@ Zotero.ZotTablet = new function() {
         return Zotero.isWin ? '\\' : '/';
     };
 
+    /**
+     * Get the library of the current Zotero selection
+     */
+    this.getSelectedLibraryID = function() {
+        const win = Zotero.getMainWindow();
+        return (win && win.ZoteroPane && win.ZoteroPane.getSelectedLibraryID()) ||
+            Zotero.Libraries.userLibraryID;
+    };
+
+    /**
+     * Get the ID of the collection selected in the Zotero pane, or null
+     */
+    this.getSelectedCollectionID = function() {
+        const win = Zotero.getMainWindow();
+        return (win && win.ZoteroPane && win.ZoteroPane.getSelectedCollection(true)) || null;
+    };
+
+    /**
+     * Make a collection or other name usable as a single folder name
+     */
+    this.sanitizeFolderName = function(name) {
+        return this.FilenamePolicy.sanitize(name, Zotero.ZotTablet.Constants.FILENAME_POLICY.NTFS);
+    };
+
+    /**
+     * Explain why ZotTablet can't change an item's library
+     * @returns {string|null} Reason, or null if tags and files can be changed
+     */
+    this.getReadOnlyReason = function(item) {
+        const library = Zotero.Libraries.get(item.libraryID);
+        if (!library) return 'Library not found';
+        if (!library.editable) return `Library "${library.name}" is read-only`;
+        if (!library.filesEditable) return `Files in library "${library.name}" are read-only`;
+        return null;
+    };
+
+    /**
+     * Get the IDs of the libraries whose items and files can be changed
+     */
+    this.getEditableLibraryIDs = function() {
+        return Zotero.Libraries.getAll()
+            .filter(library => library.editable && library.filesEditable)
+            .map(library => library.libraryID);
+    };
+
+    /**
+     * Split items into those in editable libraries and those that must be skipped
+     * @returns {{ editable: Zotero.Item[], readOnly: Array<{ item, reason }> }}
+     */
+    this.filterEditable = function(items) {
+        const editable = [];
+        const readOnly = [];
+        for (const item of items) {
+            const reason = this.getReadOnlyReason(item);
+            if (reason) {
+                readOnly.push({ item, reason });
+            } else {
+                editable.push(item);
+            }
+        }
+        return { editable, readOnly };
+    };
+
+    /**
+     * Describe items skipped by filterEditable, for progress windows and alerts
+     */
+    this.describeSkipped = function(readOnly) {
+        const reasons = [...new Set(readOnly.map(r => r.reason))];
+        return `Skipped ${readOnly.length} item(s): ${reasons.join('; ')}`;
+    };
+
     /**
      * Get selected attachments from current Zotero selection
      */
@@ -299,8 +501,46 @@ Zotero.ZotTablet = new function() {
      * Check if file type should be processed
      */
     this.checkFileType = function(attachment) {
-        const validTypes = ['application/pdf'];
-        return validTypes.includes(attachment.attachmentContentType);
+        const type = this.getContentType(attachment);
+        return !!type && this.getSyncTypes().includes(type);
+    };
+
+    /**
+     * Get the keys of the content types enabled for syncing
+     * @returns {string[]} Keys of Constants.CONTENT_TYPES
+     */
+    this.getSyncTypes = function() {
+        const C = Zotero.ZotTablet.Constants;
+        return (this.getPref(C.PREF_KEYS.SYNC_TYPES) || C.PREF_DEFAULTS.syncTypes)
+            .split(',')
+            .map(type => type.trim())
+            .filter(type => C.CONTENT_TYPES[type]);
+    };
+
+    /**
+     * Get the content type key of an attachment, by content type or filename extension
+     * @returns {string|null} Key of Constants.CONTENT_TYPES
+     */
+    this.getContentType = function(attachment) {
+        const types = Zotero.ZotTablet.Constants.CONTENT_TYPES;
+        const mimeType = attachment.attachmentContentType;
+        for (const [key, type] of Object.entries(types)) {
+            if (type.mimeTypes.includes(mimeType)) return key;
+        }
+        return this.getContentTypeForPath(attachment.attachmentFilename || '');
+    };
+
+    /**
+     * Get the content type key of a file from its extension
+     * @returns {string|null} Key of Constants.CONTENT_TYPES
+     */
+    this.getContentTypeForPath = function(path) {
+        const ext = this.getFileExtension(path);
+        const types = Zotero.ZotTablet.Constants.CONTENT_TYPES;
+        for (const [key, type] of Object.entries(types)) {
+            if (type.extensions.includes(ext)) return key;
+        }
+        return null;
     };
 
     /**
@@ -328,11 +568,77 @@ Zotero.ZotTablet = new function() {
         return progressWindow;
     };
 
+    /**
+     * Show progress window with a Cancel button
+     * Offers the methods of Zotero.ProgressWindow used for progress (changeHeadline,
+     * addDescription, startCloseTimer), plus setProgress and signal, which is
+     * aborted when Cancel is pressed.
+     */
+    this.showCancellableProgress = function(title) {
+        const controller = this.createAbortController();
+        // Shared with progress.js, which sets update once the window is loaded
+        const io = {
+            headline: title,
+            lines: [],
+            completed: 0,
+            total: 0,
+            cancelling: false,
+            done: false,
+            onCancel: () => {
+                io.cancelling = true;
+                controller.abort();
+            },
+            update: null
+        };
+
+        const win = Zotero.getMainWindow().openDialog(
+            'chrome://zottablet/content/progress.xhtml',
+            '',
+            'chrome,centerscreen,dialog=no',
+            io
+        );
+        const update = () => {
+            if (io.update && !win.closed) io.update();
+        };
+
+        return {
+            signal: controller.signal,
+            changeHeadline(text) {
+                io.headline = text;
+                update();
+            },
+            setProgress(completed, total) {
+                io.completed = completed;
+                io.total = total;
+                update();
+            },
+            addDescription(text) {
+                io.lines.push(text);
+                update();
+            },
+            startCloseTimer(duration) {
+                io.done = true;
+                update();
+                win.setTimeout(() => {
+                    if (!win.closed) win.close();
+                }, duration);
+            }
+        };
+    };
+
     /**
      * Create standard saved searches for ZotTablet
      * Shared between UI menu and preferences
+     * @param {number} libraryID - Library to create them in (library of the
+     *                             current selection if omitted)
      */
-    this.createSavedSearches = async function() {
+    this.createSavedSearches = async function(libraryID = null) {
+        libraryID = libraryID || this.getSelectedLibraryID();
+        const library = Zotero.Libraries.get(libraryID);
+        if (!library.editable) {
+            throw new Error(`Library "${library.name}" is read-only`);
+        }
+
         const tags = this.SyncManager.getTags();
         const readingTag = this.ReadingList.getTag();
 
@@ -361,8 +667,31 @@ Zotero.ZotTablet = new function() {
             }
         ];
 
+        // Profiles with their own tags get their own searches
+        for (const profile of this.Profiles.getProfiles()) {
+            if (profile.id === this.Profiles.DEFAULT_ID || profile.tagOnTablet === tags.onTablet) {
+                continue;
+            }
+            searchDefs.push(
+                {
+                    name: `ZotTablet: On Tablet (${profile.name})`,
+                    conditions: [
+                        ['tag', 'contains', profile.tagOnTablet],
+                        ['includeParentsAndChildren', 'true'],
+                        ['noChildren', 'true']
+                    ]
+                },
+                {
+                    name: `ZotTablet: Modified (${profile.name})`,
+                    conditions: [
+                        ['tag', 'is', profile.tagModified]
+                    ]
+                }
+            );
+        }
+
         let created = 0;
-        const existing = Zotero.Searches.getAll();
+        const existing = Zotero.Searches.getAll(libraryID);
 
         for (const def of searchDefs) {
             // Skip if already exists
@@ -371,7 +700,7 @@ Zotero.ZotTablet = new function() {
             }
 
             const search = new Zotero.Search();
-            search.libraryID = Zotero.Libraries.userLibraryID;
+            search.libraryID = libraryID;
             search.name = def.name;
             for (const [field, op, value] of def.conditions) {
                 search.addCondition(field, op, value);
@@ -433,6 +762,15 @@ Zotero.ZotTablet = new function() {
         return msg;
     };
 
+    /**
+     * Format a byte count for display
+     */
+    this.formatFileSize = function(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    };
+
     /**
      * Get file extension
      */
@@ -476,6 +814,49 @@ Zotero.ZotTablet = new function() {
         return OS.Path.basename(path);
     };
 
+    /**
+     * Get ZotTablet's folder in the Zotero data directory, or a subfolder of it
+     */
+    this.getDataDir = function(...subfolders) {
+        return this.joinPath(Zotero.DataDirectory.dir, Zotero.ZotTablet.Constants.DATA_DIR.ROOT, ...subfolders);
+    };
+
+    /**
+     * List the paths of the entries in a directory
+     * @returns {Promise<string[]>} Empty if the directory does not exist
+     */
+    this.getDirectoryEntries = async function(path) {
+        if (!(await this.fileExists(path))) return [];
+
+        if (IOUtils && IOUtils.getChildren) {
+            return await IOUtils.getChildren(path);
+        }
+        const paths = [];
+        const entries = Zotero.File.pathToFile(path).directoryEntries;
+        while (entries.hasMoreElements()) {
+            paths.push(entries.getNext().QueryInterface(Ci.nsIFile).path);
+        }
+        return paths;
+    };
+
+    /**
+     * List all files below a directory, skipping hidden files and folders
+     * @returns {Promise<string[]>}
+     */
+    this.listFilesRecursive = async function(dirPath) {
+        const files = [];
+        for (const path of await this.getDirectoryEntries(dirPath)) {
+            if (this.getFilename(path).startsWith('.')) continue;
+
+            if (Zotero.File.pathToFile(path).isDirectory()) {
+                files.push(...(await this.listFilesRecursive(path)));
+            } else {
+                files.push(path);
+            }
+        }
+        return files;
+    };
+
     /**
      * Check if file exists - uses IOUtils when available (Zotero 8)
      */
@@ -498,80 +879,131 @@ Zotero.ZotTablet = new function() {
     };
 
     /**
-     * Copy file with proper error handling
+     * Check if files can be created in a directory
+     * Probes with a temporary file, as permissions of network shares can't be
+     * read reliably.
+     */
+    this.isDirectoryWritable = async function(path) {
+        const probe = this.joinPath(path, `.zottablet-${Zotero.Utilities.randomString()}`);
+        try {
+            await Zotero.File.putContentsAsync(probe, '');
+            await this.removeFile(probe);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    };
+
+    /**
+     * Get the path copyFile/moveFile will write to: destPath, or destPath with
+     * a _2, _3, ... suffix if that file exists
+     * @param {string} destPath - Requested path
+     * @param {Set<string>} reserved - Paths to treat as taken even if they don't exist yet;
+     *                                 the returned path is added to it, so parallel
+     *                                 workers sharing the set never get the same path
+     */
+    this.getAvailablePath = async function(destPath, reserved = null) {
+        let finalPath = destPath;
+        let counter = 2;
+        // No await between the reserved check and adding to it, so two
+        // callers can't both take a path
+        while (await this.fileExists(finalPath) || (reserved && reserved.has(finalPath))) {
+            const ext = this.getFileExtension(destPath);
+            const base = destPath.substring(0, destPath.length - ext.length - 1);
+            finalPath = `${base}_${counter}.${ext}`;
+            counter++;
+            if (counter > Zotero.ZotTablet.Constants.LIMITS.MAX_RENAME_COUNTER) {
+                throw new Error('Too many files with same name');
+            }
+        }
+        if (reserved) {
+            reserved.add(finalPath);
+        }
+        return finalPath;
+    };
+
+    /**
+     * Copy a file through a temporary file in the destination folder
+     * Sync clients never see a partly written file under the final name, and
+     * with overwrite an existing file is only replaced once the copy is
+     * complete and verified.
      * @param {boolean} overwrite - If true, overwrite existing file
+     * @returns {Promise<string>} Path the file was written to
      */
     this.copyFile = async function(sourcePath, destPath, overwrite = false) {
         // Ensure destination directory exists
         const destDir = this.getParentDir(destPath);
         await this.ensureDirectory(destDir);
 
-        let finalPath = destPath;
+        // Handle existing file by creating new name
+        const finalPath = overwrite ? destPath : await this.getAvailablePath(destPath);
 
-        if (overwrite) {
-            // Overwrite mode: remove existing file first
-            if (await this.fileExists(destPath)) {
-                await this.removeFile(destPath);
-            }
-        } else {
-            // Handle existing file by creating new name
-            let counter = 2;
-            while (await this.fileExists(finalPath)) {
-                const ext = this.getFileExtension(destPath);
-                const base = destPath.substring(0, destPath.length - ext.length - 1);
-                finalPath = `${base}_${counter}.${ext}`;
-                counter++;
-                if (counter > Zotero.ZotTablet.Constants.LIMITS.MAX_RENAME_COUNTER) {
-                    throw new Error('Too many files with same name');
-                }
+        const expected = await this._getWriteCheck(sourcePath);
+        const tempPath = await this._beginTempFile(destDir);
+        try {
+            if (IOUtils && IOUtils.copy) {
+                await IOUtils.copy(sourcePath, tempPath);
+            } else {
+                await OS.File.copy(sourcePath, tempPath);
             }
-        }
-
-        if (IOUtils && IOUtils.copy) {
-            await IOUtils.copy(sourcePath, finalPath);
-        } else {
-            await OS.File.copy(sourcePath, finalPath);
+            await this._verifyWrite(tempPath, expected);
+            await this._rename(tempPath, finalPath, overwrite);
+        } catch (e) {
+            await this.removeFile(tempPath);
+            throw e;
+        } finally {
+            await this._endTempFile(tempPath);
         }
         return finalPath;
     };
 
     /**
-     * Move file with proper error handling
+     * Move a file through a temporary file in the destination folder
+     * On the same filesystem both steps are renames; across filesystems the
+     * first step copies, and the source is only removed once the copy is
+     * complete. If the move fails, the file is put back at sourcePath.
+     * @param {boolean} exact - Move to exactly destPath and fail if it is taken,
+     *                          instead of picking a free name
+     * @returns {Promise<string>} Path the file was moved to
      */
-    this.moveFile = async function(sourcePath, destPath) {
+    this.moveFile = async function(sourcePath, destPath, exact = false) {
         // Ensure destination directory exists
         const destDir = this.getParentDir(destPath);
         await this.ensureDirectory(destDir);
 
         // Handle existing file
-        let finalPath = destPath;
-        let counter = 2;
-        while (await this.fileExists(finalPath)) {
-            const ext = this.getFileExtension(destPath);
-            const base = destPath.substring(0, destPath.length - ext.length - 1);
-            finalPath = `${base}_${counter}.${ext}`;
-            counter++;
-            if (counter > Zotero.ZotTablet.Constants.LIMITS.MAX_RENAME_COUNTER) {
-                throw new Error('Too many files with same name');
-            }
+        const finalPath = exact ? destPath : await this.getAvailablePath(destPath);
+        if (exact && await this.fileExists(finalPath)) {
+            throw new Error(`${this.getFilename(finalPath)} already exists`);
         }
 
-        if (IOUtils && IOUtils.move) {
-            await IOUtils.move(sourcePath, finalPath);
-        } else {
-            await OS.File.move(sourcePath, finalPath);
+        const expected = await this._getWriteCheck(sourcePath);
+        const tempPath = await this._beginTempFile(destDir, sourcePath);
+        try {
+            await this._rename(sourcePath, tempPath, false);
+            await this._verifyWrite(tempPath, expected);
+            await this._rename(tempPath, finalPath, false);
+        } catch (e) {
+            try {
+                await this._rollBackTempFile(tempPath, sourcePath);
+            } catch (rollBackError) {
+                Zotero.logError(rollBackError);
+            }
+            throw e;
         }
+        await this._endTempFile(tempPath);
         return finalPath;
     };
 
     /**
      * Read file contents
+     * @param {number} maxBytes - Optional limit, reads the whole file if omitted
      */
-    this.readFile = async function(path) {
+    this.readFile = async function(path, maxBytes) {
         if (IOUtils && IOUtils.read) {
-            return await IOUtils.read(path);
+            return await IOUtils.read(path, maxBytes ? { maxBytes } : {});
         }
-        return await OS.File.read(path);
+        return await OS.File.read(path, maxBytes ? { bytes: maxBytes } : {});
     };
 
     /**
@@ -590,6 +1022,35 @@ Zotero.ZotTablet = new function() {
         }
     };
 
+    /**
+     * Get file size in bytes
+     */
+    this.getFileSize = async function(path) {
+        try {
+            if (IOUtils && IOUtils.stat) {
+                const stat = await IOUtils.stat(path);
+                return stat.size;
+            }
+            const stat = await OS.File.stat(path);
+            return stat.size;
+        } catch (e) {
+            return 0;
+        }
+    };
+
+    /**
+     * Get content hash of file (MD5, same as Zotero's attachment hash)
+     * @returns {Promise<string|null>} Hex digest, or null if the file cannot be read
+     */
+    this.getFileHash = async function(path) {
+        try {
+            return await Zotero.Utilities.Internal.md5Async(path);
+        } catch (e) {
+            Zotero.debug(`ZotTablet: Failed to hash file: ${path}`);
+            return null;
+        }
+    };
+
     /**
      * Remove file
      */
@@ -605,6 +1066,21 @@ Zotero.ZotTablet = new function() {
         }
     };
 
+    /**
+     * Remove directory and its contents
+     */
+    this.removeDirectory = async function(path) {
+        try {
+            if (IOUtils && IOUtils.remove) {
+                await IOUtils.remove(path, { recursive: true, ignoreAbsent: true });
+            } else {
+                await OS.File.removeDir(path, { ignoreAbsent: true });
+            }
+        } catch (e) {
+            Zotero.debug(`ZotTablet: Failed to remove directory: ${path}`);
+        }
+    };
+
     /**
      * Remove empty directories recursively up to a base path
      */
@@ -638,4 +1114,139 @@ Zotero.ZotTablet = new function() {
             // Ignore errors when removing directories
         }
     };
+
+    // ==================== Atomic Writes ====================
+
+    // Temporary files being written by copyFile and moveFile, mirrored to
+    // <data dir>/zottablet/temp-files.json so leftovers of a crash can be
+    // cleaned up on the next startup: { path, source } - source is set for
+    // moves, whose file must be put back rather than removed
+    this._tempFiles = new Map();
+    // Serialises writes of the temp file list
+    this._tempWriteQueue = Promise.resolve();
+
+    /**
+     * Remove temporary files left behind by copies and moves interrupted by a
+     * crash, putting moved files back where they came from (called during startup)
+     * @returns {Promise<number>} Number of temporary files found
+     */
+    this.cleanupTempFiles = async function() {
+        const path = this.getDataDir(Zotero.ZotTablet.Constants.DATA_DIR.TEMP_FILES);
+        if (!(await this.fileExists(path))) return 0;
+
+        let entries = [];
+        try {
+            const parsed = JSON.parse(await Zotero.File.getContentsAsync(path));
+            if (Array.isArray(parsed)) entries = parsed;
+        } catch (e) {
+            Zotero.logError(e);
+        }
+
+        let found = 0;
+        for (const entry of entries) {
+            if (!entry || !entry.path || !(await this.fileExists(entry.path))) continue;
+            found++;
+            try {
+                await this._rollBackTempFile(entry.path, entry.source);
+            } catch (e) {
+                // Keep it recorded and try again next time
+                this._tempFiles.set(entry.path, entry);
+                Zotero.logError(e);
+            }
+        }
+        if (found > 0) {
+            Zotero.debug(`ZotTablet: Cleaned up ${found} temporary file(s) of interrupted copies`);
+        }
+
+        await this._saveTempFiles();
+        return found;
+    };
+
+    /**
+     * Pick and record a temporary file name in a folder
+     * @param {string} dir - Folder the file will be renamed into place in
+     * @param {string} sourcePath - File being moved, if any
+     */
+    this._beginTempFile = async function(dir, sourcePath = null) {
+        const C = Zotero.ZotTablet.Constants;
+        const path = this.joinPath(dir, `${C.TEMP_FILE_PREFIX}${Zotero.Utilities.randomString(8)}.tmp`);
+        this._tempFiles.set(path, { path, source: sourcePath });
+        await this._saveTempFiles();
+        return path;
+    };
+
+    /**
+     * Forget a temporary file that was renamed into place or removed
+     */
+    this._endTempFile = async function(path) {
+        this._tempFiles.delete(path);
+        await this._saveTempFiles();
+    };
+
+    /**
+     * Get rid of a temporary file after a failed or interrupted write: a
+     * moved file goes back to its source if that is gone, anything else is removed
+     * The file stays recorded if it can't be put back.
+     */
+    this._rollBackTempFile = async function(path, sourcePath) {
+        if (sourcePath && !(await this.fileExists(sourcePath)) && await this.fileExists(path)) {
+            await this._rename(path, sourcePath, false);
+        } else {
+            await this.removeFile(path);
+        }
+        await this._endTempFile(path);
+    };
+
+    /**
+     * Get what a finished write is checked against: the source's name, its
+     * size and, if verifyHash is enabled, its hash
+     */
+    this._getWriteCheck = async function(sourcePath) {
+        const C = Zotero.ZotTablet.Constants;
+        return {
+            name: this.getFilename(sourcePath),
+            size: await this.getFileSize(sourcePath),
+            hash: this.getPref(C.PREF_KEYS.VERIFY_HASH) ? await this.getFileHash(sourcePath) : null
+        };
+    };
+
+    /**
+     * Check a written file against its source
+     * @param {Object} expected - Returned by _getWriteCheck
+     * @throws {Error} If the file is incomplete or differs
+     */
+    this._verifyWrite = async function(path, expected) {
+        const size = await this.getFileSize(path);
+        if (size !== expected.size) {
+            throw new Error(`Incomplete copy of ${expected.name}: ${size} of ${expected.size} bytes written`);
+        }
+        if (expected.hash && await this.getFileHash(path) !== expected.hash) {
+            throw new Error(`Copy of ${expected.name} does not match its source`);
+        }
+    };
+
+    /**
+     * Rename a file; a copy and delete if the paths are on different filesystems
+     * @param {boolean} overwrite - Replace an existing file at destPath
+     */
+    this._rename = async function(sourcePath, destPath, overwrite) {
+        if (IOUtils && IOUtils.move) {
+            await IOUtils.move(sourcePath, destPath, { noOverwrite: !overwrite });
+        } else {
+            await OS.File.move(sourcePath, destPath, { noOverwrite: !overwrite });
+        }
+    };
+
+    /**
+     * Write the temporary file list
+     */
+    this._saveTempFiles = function() {
+        const json = JSON.stringify([...this._tempFiles.values()]);
+        this._tempWriteQueue = this._tempWriteQueue.then(async () => {
+            const path = this.getDataDir(Zotero.ZotTablet.Constants.DATA_DIR.TEMP_FILES);
+            await this.ensureDirectory(this.getParentDir(path));
+            await Zotero.File.putContentsAsync(path, json);
+        }).catch(e => Zotero.logError(e));
+        return this._tempWriteQueue;
+    };
 };
@@ -7,13 +7,68 @@ prefs-browse = Browse...
 prefs-mode = Sync Mode:
 prefs-mode-background = Background (keep copy in Zotero)
 prefs-mode-foreground = Foreground (move file)
+prefs-filename-policy = Folder filesystem:
+prefs-filename-policy-ntfs = NTFS (Windows)
+prefs-filename-policy-exfat = exFAT (SD cards, USB drives)
+prefs-filename-policy-fat32 = FAT32 (e-readers; no emoji)
+prefs-filename-policy-posix = POSIX (macOS, Linux, Android)
+prefs-filename-policy-ascii = ASCII only (transliterate accents)
+prefs-sidecar-format = Metadata sidecar:
+prefs-sidecar-none = None
+prefs-sidecar-json = CSL JSON (.json)
+prefs-sidecar-bibtex = BibTeX (.bib)
+prefs-sidecar-ris = RIS (.ris)
+prefs-concurrency = Files copied at once:
+prefs-stability-window = Wait for synced files to settle (seconds, 0 = don't wait):
+prefs-verify-hash = Verify copied files by checksum (slower)
 prefs-rename = Rename files when sending to tablet
+prefs-conflict-policy = When both versions changed:
+prefs-conflict-ask = Ask each time
+prefs-conflict-tablet = Use tablet version
+prefs-conflict-zotero = Use Zotero version
+prefs-conflict-keep-both = Keep both (import tablet version as new attachment)
+prefs-conflict-merge = Merge annotations (keep Zotero file)
+
+# Preferences - File Types
+prefs-sync-types-title = File Types
+prefs-sync-types-help = Attachments of these types can be sent to the tablet. Annotations are only extracted from PDFs.
+
+# Preferences - Transforms
+prefs-transforms-title = Send Transforms
+prefs-transforms-help = Command-line tools run in order on a copy of each file before it is sent (background mode only).
+prefs-transforms-placeholders = Arguments: {"{"}input{"}"} = file to read, {"{"}output{"}"} = file to write. Types: comma-separated, e.g. pdf,djvu
+prefs-transforms-geometry = Changes page layout
+prefs-transforms-geometry-help = Tick "Changes page layout" for tools that crop or resize pages: their copies come back as new attachments.
+prefs-add-transform = Add Transform
+
+# Preferences - Collection Mirroring
+prefs-bindings-title = Collection Mirroring
+prefs-bindings-help = Items added to a bound collection are sent to its project folder; items removed from it are retrieved.
+prefs-bindings-subcollections = Include subcollections
+prefs-bindings-resync = Resync Now
+prefs-add-binding = Add Binding
+
+# Preferences - Renaming
+prefs-renaming-title = File Renaming
+prefs-rename-format = Rename format:
+prefs-authors-max = Most authors listed:
+prefs-authors-truncate = Listed before "et al.":
+prefs-authors-et-al = "et al." text:
+prefs-authors-delimiter = Author separator:
+prefs-rename-help = Wildcards: %a = authors, %y = year, %t = title, %j = journal, %b = citation key, ...; %{"{"}field|50{"}"} = any field, truncated; {"{"}...{"}"} = optional
+prefs-template-preview = Preview: {$result}
+prefs-template-no-item = Preview: select an item in Zotero
+prefs-template-error = Error: {$message}
 
 # Preferences - Subfolder
 prefs-subfolder-title = Subfolder Organization
 prefs-use-subfolder = Use subfolders for organization
 prefs-subfolder-format = Subfolder format:
-prefs-subfolder-help = Wildcards: %a = author, %y = year, %j = journal
+prefs-subfolder-help = Same wildcards as file renaming; / separates folders and %c = collection path (nested folders)
+prefs-collection-rule = Items in several collections:
+prefs-collection-rule-current = Use the collection they are sent from
+prefs-collection-rule-first = Use the first collection (by name)
+prefs-collection-rule-ask = Ask which collection to use
 
 # Preferences - Tags
 prefs-tags-title = Tag Settings
@@ -21,6 +76,17 @@ prefs-tag-tablet = Tag for files on tablet:
 prefs-tag-modified = Tag for modified files:
 prefs-tag-reading = Tag for reading list:
 
+# Preferences - Automatic Checking
+prefs-auto-check-title = Automatic Checking
+prefs-auto-check = Check tablet files for modifications in the background
+prefs-auto-check-interval = Check interval (minutes):
+
+# Preferences - Version History
+prefs-history-title = Version History
+prefs-history-enabled = Keep previous versions of files overwritten from the tablet
+prefs-history-max-versions = Versions to keep (0 = no limit):
+prefs-history-max-age = Maximum age in days (0 = no limit):
+
 # Preferences - Annotations
 prefs-annotations-title = Annotation Extraction
 prefs-extract-on-sync = Extract annotations when syncing from tablet
@@ -29,6 +95,11 @@ prefs-use-pdfjs = Use pdf.js for external annotations
 prefs-note-format = Note title format:
 prefs-highlight-format = Highlight format:
 
+# Preferences - Profiles
+prefs-profiles-title = Device Profiles
+prefs-profiles-help = The settings above form the Default profile. Empty fields fall back to its values.
+prefs-add-profile = Add Profile
+
 # Preferences - Projects
 prefs-projects-title = Project Folders
 prefs-add-project = Add Project Folder
@@ -41,13 +112,20 @@ prefs-create-searches = Create Saved Searches
 menu-add-reading = Add to Reading List
 menu-remove-reading = Remove from Reading List
 menu-send-tablet = Send to Tablet
+menu-send-profile = Send to
 menu-send-project = Send to Project Folder
 menu-get-tablet = Get from Tablet
+menu-preview-send = Preview Send to Tablet...
+menu-preview-get = Preview Get from Tablet...
 menu-check-mods = Check Modifications
+menu-restore-version = Restore Previous Version...
 menu-extract = Extract Annotations
+menu-undo = Undo Last Operation
 menu-sync-all = Sync All Modified Files
 menu-check-all = Check All Tablet Files
+menu-scan-orphans = Scan for Untracked Files...
 menu-open-folder = Open Tablet Folder
+menu-migrate-zotfile = Migrate from ZotFile...
 menu-prefs = ZotTablet Preferences...
 
 # Messages
@@ -63,6 +141,8 @@ msg-conflict-title = File Conflict
 msg-conflict-text = Both the tablet file and Zotero file for "{$filename}" have been modified.
 msg-conflict-use-tablet = Use Tablet Version
 msg-conflict-use-zotero = Use Zotero Version
+msg-conflict-keep-both = Keep Both (import tablet version as new attachment)
+msg-conflict-merge = Merge Annotations (keep Zotero file, add {$count} annotation(s) from tablet)
 
 # Status
 status-on-tablet = On Tablet
@@ -7,13 +7,68 @@ prefs-browse = Examinar...
 prefs-mode = Modo de sincronizacion:
 prefs-mode-background = Segundo plano (mantener copia en Zotero)
 prefs-mode-foreground = Primer plano (mover archivo)
+prefs-filename-policy = Sistema de archivos de la carpeta:
+prefs-filename-policy-ntfs = NTFS (Windows)
+prefs-filename-policy-exfat = exFAT (tarjetas SD, unidades USB)
+prefs-filename-policy-fat32 = FAT32 (lectores electronicos; sin emoji)
+prefs-filename-policy-posix = POSIX (macOS, Linux, Android)
+prefs-filename-policy-ascii = Solo ASCII (transliterar acentos)
+prefs-sidecar-format = Archivo de metadatos:
+prefs-sidecar-none = Ninguno
+prefs-sidecar-json = CSL JSON (.json)
+prefs-sidecar-bibtex = BibTeX (.bib)
+prefs-sidecar-ris = RIS (.ris)
+prefs-concurrency = Archivos copiados a la vez:
+prefs-stability-window = Esperar a que se asienten los archivos sincronizados (segundos, 0 = no esperar):
+prefs-verify-hash = Verificar archivos copiados por suma de comprobacion (mas lento)
 prefs-rename = Renombrar archivos al enviar a tablet
+prefs-conflict-policy = Si ambas versiones cambiaron:
+prefs-conflict-ask = Preguntar cada vez
+prefs-conflict-tablet = Usar version de tablet
+prefs-conflict-zotero = Usar version de Zotero
+prefs-conflict-keep-both = Conservar ambas (importar version de tablet como nuevo adjunto)
+prefs-conflict-merge = Combinar anotaciones (conservar archivo de Zotero)
+
+# Preferencias - Tipos de Archivo
+prefs-sync-types-title = Tipos de Archivo
+prefs-sync-types-help = Los adjuntos de estos tipos pueden enviarse a la tablet. Las anotaciones solo se extraen de PDF.
+
+# Preferencias - Transformaciones
+prefs-transforms-title = Transformaciones de Envio
+prefs-transforms-help = Herramientas de linea de comandos que se ejecutan en orden sobre una copia de cada archivo antes de enviarlo (solo modo segundo plano).
+prefs-transforms-placeholders = Argumentos: {"{"}input{"}"} = archivo a leer, {"{"}output{"}"} = archivo a escribir. Tipos: separados por comas, p. ej. pdf,djvu
+prefs-transforms-geometry = Cambia el diseno de pagina
+prefs-transforms-geometry-help = Marque "Cambia el diseno de pagina" para herramientas que recortan o redimensionan paginas: sus copias vuelven como adjuntos nuevos.
+prefs-add-transform = Agregar Transformacion
+
+# Preferencias - Espejo de Colecciones
+prefs-bindings-title = Espejo de Colecciones
+prefs-bindings-help = Los elementos agregados a una coleccion vinculada se envian a su carpeta de proyecto; los eliminados se recuperan.
+prefs-bindings-subcollections = Incluir subcolecciones
+prefs-bindings-resync = Resincronizar Ahora
+prefs-add-binding = Agregar Vinculo
+
+# Preferencias - Renombrado
+prefs-renaming-title = Renombrado de Archivos
+prefs-rename-format = Formato de nombre:
+prefs-authors-max = Maximo de autores:
+prefs-authors-truncate = Autores antes de "et al.":
+prefs-authors-et-al = Texto "et al.":
+prefs-authors-delimiter = Separador de autores:
+prefs-rename-help = Comodines: %a = autores, %y = ano, %t = titulo, %j = revista, %b = clave de cita, ...; %{"{"}campo|50{"}"} = cualquier campo, truncado; {"{"}...{"}"} = opcional
+prefs-template-preview = Vista previa: {$result}
+prefs-template-no-item = Vista previa: seleccione un elemento en Zotero
+prefs-template-error = Error: {$message}
 
 # Preferencias - Subcarpetas
 prefs-subfolder-title = Organizacion de Subcarpetas
 prefs-use-subfolder = Usar subcarpetas para organizacion
 prefs-subfolder-format = Formato de subcarpeta:
-prefs-subfolder-help = Comodines: %a = autor, %y = ano, %j = revista
+prefs-subfolder-help = Los mismos comodines que al renombrar; / separa carpetas y %c = ruta de coleccion (carpetas anidadas)
+prefs-collection-rule = Elementos en varias colecciones:
+prefs-collection-rule-current = Usar la coleccion desde la que se envian
+prefs-collection-rule-first = Usar la primera coleccion (por nombre)
+prefs-collection-rule-ask = Preguntar que coleccion usar
 
 # Preferencias - Etiquetas
 prefs-tags-title = Configuracion de Etiquetas
@@ -21,6 +76,17 @@ prefs-tag-tablet = Etiqueta para archivos en tablet:
 prefs-tag-modified = Etiqueta para archivos modificados:
 prefs-tag-reading = Etiqueta para lista de lectura:
 
+# Preferencias - Verificacion Automatica
+prefs-auto-check-title = Verificacion Automatica
+prefs-auto-check = Verificar modificaciones de archivos en tablet en segundo plano
+prefs-auto-check-interval = Intervalo de verificacion (minutos):
+
+# Preferencias - Historial de Versiones
+prefs-history-title = Historial de Versiones
+prefs-history-enabled = Conservar versiones anteriores de archivos sobrescritos desde tablet
+prefs-history-max-versions = Versiones a conservar (0 = sin limite):
+prefs-history-max-age = Antiguedad maxima en dias (0 = sin limite):
+
 # Preferencias - Anotaciones
 prefs-annotations-title = Extraccion de Anotaciones
 prefs-extract-on-sync = Extraer anotaciones al sincronizar desde tablet
@@ -29,6 +95,11 @@ prefs-use-pdfjs = Usar pdf.js para anotaciones externas
 prefs-note-format = Formato del titulo de nota:
 prefs-highlight-format = Formato de resaltado:
 
+# Preferencias - Perfiles
+prefs-profiles-title = Perfiles de Dispositivo
+prefs-profiles-help = La configuracion anterior forma el perfil Predeterminado. Los campos vacios usan sus valores.
+prefs-add-profile = Agregar Perfil
+
 # Preferencias - Proyectos
 prefs-projects-title = Carpetas de Proyectos
 prefs-add-project = Agregar Carpeta de Proyecto
@@ -41,13 +112,20 @@ prefs-create-searches = Crear Busquedas Guardadas
 menu-add-reading = Agregar a Lista de Lectura
 menu-remove-reading = Quitar de Lista de Lectura
 menu-send-tablet = Enviar a Tablet
+menu-send-profile = Enviar a
 menu-send-project = Enviar a Carpeta de Proyecto
 menu-get-tablet = Obtener de Tablet
+menu-preview-send = Vista Previa de Envio a Tablet...
+menu-preview-get = Vista Previa de Obtencion de Tablet...
 menu-check-mods = Verificar Modificaciones
+menu-restore-version = Restaurar Version Anterior...
 menu-extract = Extraer Anotaciones
+menu-undo = Deshacer Ultima Operacion
 menu-sync-all = Sincronizar Todos los Modificados
 menu-check-all = Verificar Todos los Archivos en Tablet
+menu-scan-orphans = Buscar Archivos sin Seguimiento...
 menu-open-folder = Abrir Carpeta de Tablet
+menu-migrate-zotfile = Migrar desde ZotFile...
 menu-prefs = Preferencias de ZotTablet...
 
 # Mensajes
@@ -63,6 +141,8 @@ msg-conflict-title = Conflicto de Archivos
 msg-conflict-text = Tanto el archivo en tablet como el de Zotero para "{$filename}" han sido modificados.
 msg-conflict-use-tablet = Usar Version de Tablet
 msg-conflict-use-zotero = Usar Version de Zotero
+msg-conflict-keep-both = Conservar Ambas (importar version de tablet como nuevo adjunto)
+msg-conflict-merge = Combinar Anotaciones (conservar archivo de Zotero, agregar {$count} anotacion(es) de tablet)
 
 # Estado
 status-on-tablet = En Tablet